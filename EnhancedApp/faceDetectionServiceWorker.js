@@ -0,0 +1,230 @@
+// faceDetectionServiceWorker.js
+// Lives at the app root (not in js/) so its scope covers the HTML pages and
+// the fetch handler below can serve the whole app offline.
+const SW_VERSION = '1.31.0';
+console.log(`Service Worker version ${SW_VERSION} started.`);
+
+// Bump SW_VERSION whenever any precached file changes; the new worker then
+// installs a fresh cache and the activate handler deletes the old one.
+const CACHE_PREFIX = 'faceapi-sw-cache-';
+const CACHE_NAME = `${CACHE_PREFIX}v${SW_VERSION}`;
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './face_register.html',
+  './face_verify.html',
+  './profile_management.html',
+  './attendance.html',
+  './verification_history.html',
+  './manifest.json',
+  './js/face-api.min.js',
+  './js/faceEngine.js',
+  './js/faceMatcher.js',
+  './js/faceTracker.js',
+  './js/faceGeometry.js',
+  './js/liveness.js',
+  './js/faceQuality.js',
+  './js/dbMigrations.js',
+  './js/templateVersions.js',
+  './js/templateCrypto.js',
+  './js/descriptorBundle.js',
+  './js/userDBBackup.js',
+  './js/faceapi_warmup.js',
+  './js/faceDetectionCore.js',
+  './js/faceDetectionWebWorker.js',
+  './js/faceEnvWorkerPatch.js',
+  './js/duplicateScanWorker.js',
+  './models/face_for_loading.png',
+  './models/tiny_face_detector_model-weights_manifest.json',
+  './models/tiny_face_detector_model-shard1',
+  './models/face_landmark_68_model-weights_manifest.json',
+  './models/face_landmark_68_model-shard1',
+  './models/face_recognition_model-weights_manifest.json',
+  './models/face_recognition_model-shard1',
+  './models/face_recognition_model-shard2',
+];
+
+// Precached scripts and weights are looked up without their query string, so
+// cache-busting parameters such as `?asset_v=1` still hit the precached copy.
+// Every other request is matched exactly.
+const SEARCH_INSENSITIVE_URLS = new Set(PRECACHE_URLS
+  .filter(url => url.startsWith('./js/') || url.startsWith('./models/'))
+  .map(url => new URL(url, self.location).href));
+
+function withoutSearch(url) {
+  const parsed = new URL(url);
+  return parsed.origin + parsed.pathname;
+}
+
+// Opaque (cross-origin, no-cors) responses are never stored: their status is
+// hidden, so an error page could end up cached in place of the real file.
+function putInCache(cache, request, response) {
+  if (!response.ok) {
+    return;
+  }
+  cache.put(request, response.clone()).catch(err => {
+    console.warn('Service Worker: failed to cache', request.url, err);
+  });
+}
+
+/**
+ * Serves a GET request from the versioned cache, falling back to the network
+ * and caching what comes back.
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const ignoreSearch = SEARCH_INSENSITIVE_URLS.has(withoutSearch(request.url));
+  const cached = await cache.match(request, { ignoreSearch });
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  putInCache(cache, request, response);
+  return response;
+}
+
+/**
+ * Serves a page navigation from the network so a deployed update shows up on
+ * the next load, and from the cache only when the network fails. Pages read
+ * their own query string (e.g. `?reenroll=`), so offline the precached copy
+ * without it is used when there is no exact match.
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    putInCache(cache, request, response);
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || await cache.match(withoutSearch(request.url));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+importScripts('js/faceEnvWorkerPatch.js');
+importScripts('js/face-api.min.js');
+importScripts('js/faceGeometry.js');
+// Model loading and detection shared with faceDetectionWebWorker.js
+importScripts('js/faceDetectionCore.js');
+
+// face-api.js loads its weights with fetch() from inside this worker, and a
+// Service Worker's own requests never reach its fetch handler. Hand face-api a
+// fetch that goes through the cache so a cold start does not download the
+// models again; the worker's global fetch is left untouched.
+faceapi.env.monkeyPatch({
+  fetch: (input, init) => {
+    const request = new Request(input, init);
+    return request.method === 'GET' ? cacheFirst(request) : fetch(request);
+  },
+});
+
+// Helper to broadcast messages to all clients
+async function broadcastMessage(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => {
+        client.postMessage(message);
+    });
+}
+
+// Reply only to the client that sent the request, echoing its requestId so the
+// page can resolve the matching promise. Other tabs never see the reply.
+// `transfer` lists ImageBitmaps to move rather than copy.
+function replyToClient(source, requestId, message, transfer = []) {
+  const reply = { ...message, requestId };
+  if (source && typeof source.postMessage === 'function') {
+    source.postMessage(reply, transfer);
+  } else {
+    // Fallback for older browsers or contexts without event.source
+    broadcastMessage(reply);
+  }
+}
+
+const MODEL_URI = './models';
+
+self.addEventListener('message', async function(event) {
+  const { type, requestId, bitmap, pixels, imageData, width, height, face_detector_options } = event.data;
+  const frame = bitmap || pixels || imageData;
+
+  // Handle PING separately so it is answered even while models are loading
+  if (type === 'PING') {
+    replyToClient(event.source, requestId, { type: 'PONG' });
+    return;
+  }
+
+  let detections;
+  try {
+    switch (type) {
+      case 'LOAD_MODELS':
+        await loadModels(MODEL_URI, face_detector_options);
+        replyToClient(event.source, requestId, { type: 'MODELS_LOADED' });
+        break;
+      case 'DETECT_FACES':
+        detections = await detectFaces(frame, width, height, face_detector_options);
+        replyToClient(event.source, requestId, {
+          type: 'DETECTION_RESULT',
+          data: {
+            detections: detections,
+            displaySize: { width, height }
+          }
+        }, getTransferables(detections));
+        break;
+      case 'WARMUP_FACES':
+        detections = await detectFaces(frame, width, height, face_detector_options);
+        replyToClient(event.source, requestId, {
+          type: 'WARMUP_RESULT',
+          data: {
+            detections: detections,
+            displaySize: { width, height }
+          }
+        }, getTransferables(detections));
+        break;
+      default:
+        console.warn('Unknown message type received in Service Worker:', type);
+    }
+  } catch (error) {
+    console.error(`Service Worker: ${type} failed`, error);
+    replyToClient(event.source, requestId, toErrorMessage(error, requestId, type));
+  }
+});
+
+self.addEventListener('messageerror', function(event) {
+  console.error('Service Worker message error: ', event);
+});
+
+// Precache the app shell and models, then activate as soon as possible. Files
+// are added one by one so a single missing asset does not abort the install.
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(url)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.warn(`Service Worker: could not precache ${PRECACHE_URLS[i]}`, result.reason);
+      }
+    });
+    await self.skipWaiting();
+  })());
+});
+
+// Drop caches left behind by previous SW_VERSIONs and take control of open pages
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Camera streams, POSTs and browser-extension URLs are left alone
+  if (request.method !== 'GET' || !request.url.startsWith('http')) {
+    return;
+  }
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
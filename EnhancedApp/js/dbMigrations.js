@@ -0,0 +1,217 @@
+/**
+* dbMigrations.js
+* ---------------
+* Schema versions of the app's IndexedDB databases and the steps that upgrade
+* them, run from onupgradeneeded:
+*
+*   const db = await DBMigrations.open('UserDB');   // opens at latestVersion('UserDB')
+*
+* Every step brings a database to its `version`. On upgrade the steps above the
+* stored version run in order, all inside the one versionchange transaction, so
+* a database is never left half-upgraded: when a step throws or one of its
+* requests fails the transaction aborts, the database keeps its old version and
+* open() rejects with a DBMigrationError naming the step.
+*
+* Steps must be idempotent. Databases created before this registry may already
+* have a step's store, and a record may already be in the shape a step
+* converts it to, so steps check before they create or convert.
+*
+* New schema changes are a new step with the next version number; existing
+* steps are never edited, since installs have already run them.
+*/
+class DBMigrationError extends Error {
+	constructor(message, dbName, version, cause) {
+		super(message);
+		this.name = 'DBMigrationError';
+		this.dbName = dbName;
+		this.version = version;   // version of the failed step
+		this.cause = cause || null;
+	}
+}
+
+var DBMigrations = (function () {
+	// Version of the explicit user record written by registration (UserDB v4)
+	const USER_RECORD_SCHEMA_VERSION = 2;
+
+	const registry = {};
+
+	/**
+	* Adds an upgrade step.
+	* @param {string} dbName
+	* @param {number} version - Version the step upgrades to; one step per version.
+	* @param {string} description - Shown when the step fails.
+	* @param {Function} migrate - `(db, transaction, helpers)`; `helpers.eachRecord(storeName, convert)`
+	*   rewrites the records for which `convert(record)` returns a new record.
+	*/
+	function register(dbName, version, description, migrate) {
+		const steps = registry[dbName] || (registry[dbName] = []);
+		if (steps.some(step => step.version === version)) {
+			throw new Error(`${dbName} already has a migration to version ${version}`);
+		}
+		steps.push({ version, description, migrate });
+		steps.sort((a, b) => a.version - b.version);
+	}
+
+	function latestVersion(dbName) {
+		const steps = registry[dbName] || [];
+		return steps.length ? steps[steps.length - 1].version : 1;
+	}
+
+	function eachRecord(transaction, storeName, convert, fail) {
+		const request = transaction.objectStore(storeName).openCursor();
+		request.onsuccess = () => {
+			const cursor = request.result;
+			if (!cursor) return;
+			try {
+				const updated = convert(cursor.value);
+				if (updated) {
+					const update = cursor.update(updated);
+					update.onerror = () => fail(update.error);
+				}
+			} catch (err) {
+				fail(err);
+				return;
+			}
+			cursor.continue();
+		};
+		request.onerror = () => fail(request.error);
+	}
+
+	/**
+	* Runs the steps between event.oldVersion and event.newVersion.
+	* @returns {{failure: DBMigrationError|null}} Filled in when a step fails,
+	*   possibly only after the step's requests have run.
+	*/
+	function upgrade(dbName, event) {
+		const db = event.target.result;
+		const transaction = event.target.transaction;
+		const state = { failure: null };
+		const fail = (step, error) => {
+			if (state.failure) return;
+			const reason = error && error.message ? error.message : String(error);
+			state.failure = new DBMigrationError(
+				`${dbName} upgrade to version ${step.version} (${step.description}) failed: ${reason}`,
+				dbName, step.version, error);
+			try {
+				transaction.abort();
+			} catch (abortError) {
+				// Already aborted by the failed request
+			}
+		};
+		(registry[dbName] || [])
+			.filter(step => step.version > event.oldVersion && step.version <= event.newVersion)
+			.forEach(step => {
+				if (state.failure) return;
+				const helpers = {
+					eachRecord: (storeName, convert) => eachRecord(transaction, storeName, convert, error => fail(step, error)),
+				};
+				try {
+					step.migrate(db, transaction, helpers);
+				} catch (err) {
+					fail(step, err);
+				}
+			});
+		return state;
+	}
+
+	/**
+	* Opens a database at its latest version, upgrading it first when needed.
+	* @param {string} dbName
+	* @param {Object} [handlers]
+	* @param {Function} [handlers.onblocked] - Another tab keeps the old version open.
+	* @returns {Promise<IDBDatabase>} Rejects with a DBMigrationError when a step failed.
+	*/
+	function open(dbName, { onblocked } = {}) {
+		return new Promise((resolve, reject) => {
+			let upgradeState = null;
+			const request = indexedDB.open(dbName, latestVersion(dbName));
+			request.onupgradeneeded = event => {
+				upgradeState = upgrade(dbName, event);
+			};
+			if (onblocked) request.onblocked = onblocked;
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(upgradeState && upgradeState.failure ? upgradeState.failure : request.error);
+		});
+	}
+
+	/**
+	* A user record in the explicit schema:
+	* `{ schemaVersion, id, name, descriptors, meanDescriptor, poses, quality, calibration }`,
+	* where `descriptors` holds the captures only. Records without `schemaVersion`
+	* keep the mean as the last element of `descriptors`, which is still the
+	* layout of exported faceid JSON files; a single descriptor is both the
+	* capture and the mean.
+	*/
+	function toUserRecord(user) {
+		if (user.schemaVersion >= USER_RECORD_SCHEMA_VERSION) return user;
+		const descriptors = Array.isArray(user.descriptors) ? user.descriptors.map(d => Array.from(d)) : [];
+		return {
+			...user,
+			schemaVersion: USER_RECORD_SCHEMA_VERSION,
+			descriptors: descriptors.length > 1 ? descriptors.slice(0, -1) : descriptors,
+			meanDescriptor: descriptors.length ? descriptors[descriptors.length - 1] : null,
+		};
+	}
+
+	// ----- UserDB -----
+	register('UserDB', 1, 'users store', db => {
+		if (!db.objectStoreNames.contains('users')) {
+			db.createObjectStore('users', { keyPath: 'id' });
+		}
+	});
+	register('UserDB', 2, 'attendance store', db => {
+		if (!db.objectStoreNames.contains('attendance')) {
+			const attendance = db.createObjectStore('attendance', { keyPath: 'id', autoIncrement: true });
+			attendance.createIndex('timestamp', 'timestamp');
+			attendance.createIndex('userId', 'userId');
+		}
+	});
+	register('UserDB', 3, 'verifications store', db => {
+		if (!db.objectStoreNames.contains('verifications')) {
+			const verifications = db.createObjectStore('verifications', { keyPath: 'id', autoIncrement: true });
+			verifications.createIndex('timestamp', 'timestamp');
+			verifications.createIndex('userId', 'userId');
+		}
+	});
+	register('UserDB', 4, 'explicit user record schema', (db, transaction, { eachRecord }) => {
+		eachRecord('users', user => user.schemaVersion >= USER_RECORD_SCHEMA_VERSION ? null : toUserRecord(user));
+	});
+	// Added with template encryption: its key parameters live in `settings`
+	register('UserDB', 5, 'settings store', db => {
+		if (!db.objectStoreNames.contains('settings')) {
+			db.createObjectStore('settings', { keyPath: 'key' });
+		}
+	});
+
+	// ----- FaceRegProgressDB -----
+	register('FaceRegProgressDB', 1, 'progress store', db => {
+		if (!db.objectStoreNames.contains('progress')) {
+			db.createObjectStore('progress', { keyPath: 'id' });
+		}
+	});
+	// Progress saved before the pose plan and quality checks; those captures count towards no pose
+	register('FaceRegProgressDB', 2, 'per-capture poses and qualities', (db, transaction, { eachRecord }) => {
+		eachRecord('progress', record => {
+			const data = record.data;
+			if (!data || !Array.isArray(data.descriptors)) return null;
+			if (Array.isArray(data.poses) && Array.isArray(data.qualities)) return null;
+			return {
+				...record,
+				data: {
+					...data,
+					poses: Array.isArray(data.poses) ? data.poses : data.descriptors.map(() => null),
+					qualities: Array.isArray(data.qualities) ? data.qualities : data.descriptors.map(() => null),
+				},
+			};
+		});
+	});
+
+	return {
+		USER_RECORD_SCHEMA_VERSION,
+		register,
+		latestVersion,
+		upgrade,
+		open,
+		toUserRecord,
+	};
+})();
@@ -0,0 +1,266 @@
+/**
+* descriptorBundle.js
+* -------------------
+* The file format face descriptors are exported and imported in:
+*
+*   const bundle = await DescriptorBundle.create(users, { device, hmacSecret });
+*   const { users, header, verified } = await DescriptorBundle.read(json, { hmacSecret });
+*
+*   {
+*     "format": "faceid-bundle",
+*     "header": {
+*       "formatVersion": 1,
+*       "model": "face-api.js/face_recognition_model",
+*       "dimension": 128,
+*       "createdAt": "2026-01-31T12:00:00.000Z",
+*       "device": { "deviceName", "deviceModel", "timeZone" },
+*       "userCount": 1,
+*       "checksum": "sha256:<hex of JSON.stringify(payload)>"
+*     },
+*     "payload": { "users": [{ "schemaVersion", "id", "name", "descriptors", "meanDescriptor", "poses" }] },
+*     "signature": { "algorithm": "HMAC-SHA256" | "ECDSA-P256-SHA256", "keyId", "value": "<base64>" }
+*   }
+*
+* Users are in the explicit record schema (DBMigrations.toUserRecord). The
+* signature is optional and covers JSON.stringify({ header, payload }) as
+* parsed, so re-indenting the file keeps it valid but reordering keys does
+* not. HMAC uses a secret shared by both sides; ECDSA signs with a private JWK
+* and is checked against trusted public JWKs, matched by `keyId`.
+*
+* read() also takes the bare `[{ id, name, descriptors }]` arrays of earlier
+* versions (mean last), unless a signature is required. Anything else is
+* rejected with a DescriptorBundleError whose `code` is one of ERROR_CODES.
+*/
+class DescriptorBundleError extends Error {
+	constructor(message, code) {
+		super(message);
+		this.name = 'DescriptorBundleError';
+		this.code = code;
+	}
+}
+
+var DescriptorBundle = (function () {
+	const FORMAT = 'faceid-bundle';
+	const FORMAT_VERSION = 1;
+	// face-api.js FaceRecognitionNet, the net behind every descriptor of this app
+	const DESCRIPTOR_MODEL = 'face-api.js/face_recognition_model';
+	const DESCRIPTOR_DIMENSION = 128;
+	const HMAC_ALGORITHM = 'HMAC-SHA256';
+	const ECDSA_ALGORITHM = 'ECDSA-P256-SHA256';
+
+	const ERROR_CODES = {
+		INVALID_FORMAT: 'INVALID_FORMAT',
+		UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+		MODEL_MISMATCH: 'MODEL_MISMATCH',
+		CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+		SIGNATURE_REQUIRED: 'SIGNATURE_REQUIRED',
+		SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+		UNTRUSTED_KEY: 'UNTRUSTED_KEY',
+	};
+
+	const encoder = new TextEncoder();
+
+	function toHex(buffer) {
+		return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+	}
+
+	function toBase64(buffer) {
+		return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+	}
+
+	function fromBase64(text) {
+		return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+	}
+
+	async function sha256(text) {
+		return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+	}
+
+	// Same for a private JWK and its public half
+	async function ecdsaKeyId(jwk) {
+		return (await sha256(`${jwk.x}.${jwk.y}`)).slice(0, 16);
+	}
+
+	function importHmacKey(secret) {
+		return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+	}
+
+	function importEcdsaKey(jwk, usage) {
+		return crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, [usage]);
+	}
+
+	function signedContent(bundle) {
+		return encoder.encode(JSON.stringify({ header: bundle.header, payload: bundle.payload }));
+	}
+
+	function fail(code, message) {
+		throw new DescriptorBundleError(message, code);
+	}
+
+	function checkDescriptor(descriptor, where) {
+		if (!Array.isArray(descriptor) || descriptor.length !== DESCRIPTOR_DIMENSION
+			|| !descriptor.every(value => typeof value === 'number' && Number.isFinite(value))) {
+			fail(ERROR_CODES.MODEL_MISMATCH, `${where} is not a ${DESCRIPTOR_DIMENSION}-value descriptor.`);
+		}
+	}
+
+	function checkUsers(users) {
+		if (!Array.isArray(users)) {
+			fail(ERROR_CODES.INVALID_FORMAT, 'The bundle has no list of users.');
+		}
+		users.forEach((user, index) => {
+			const label = user && user.id !== undefined ? `User ${user.id}` : `User #${index + 1}`;
+			if (!user || user.id === undefined || user.id === null || !Array.isArray(user.descriptors) || user.descriptors.length === 0) {
+				fail(ERROR_CODES.INVALID_FORMAT, `${label} has no ID or no descriptors.`);
+			}
+			user.descriptors.forEach((descriptor, i) => checkDescriptor(descriptor, `Descriptor ${i + 1} of ${label.toLowerCase()}`));
+			if (user.meanDescriptor) checkDescriptor(user.meanDescriptor, `The mean descriptor of ${label.toLowerCase()}`);
+		});
+		return users;
+	}
+
+	/**
+	* Builds a bundle of `users`, signed when a key is given.
+	* @param {Array<Object>} users - Explicit or legacy user records.
+	* @param {Object} [options]
+	* @param {Object} [options.device] - Provenance for the header, e.g. from getDeviceMetadata().
+	* @param {string} [options.hmacSecret] - Signs with HMAC-SHA256.
+	* @param {Object} [options.ecdsaPrivateKey] - P-256 private JWK; signs with ECDSA instead.
+	* @returns {Promise<Object>} The bundle, ready for JSON.stringify.
+	*/
+	async function create(users, { device = null, hmacSecret = '', ecdsaPrivateKey = null } = {}) {
+		const payload = {
+			users: users.map(DBMigrations.toUserRecord).map(user => ({
+				schemaVersion: user.schemaVersion,
+				id: user.id,
+				name: user.name,
+				descriptors: user.descriptors.map(d => Array.from(d)),
+				meanDescriptor: user.meanDescriptor ? Array.from(user.meanDescriptor) : null,
+				...(user.poses ? { poses: user.poses } : {}),
+			})),
+		};
+		checkUsers(payload.users);
+		const bundle = {
+			format: FORMAT,
+			header: {
+				formatVersion: FORMAT_VERSION,
+				model: DESCRIPTOR_MODEL,
+				dimension: DESCRIPTOR_DIMENSION,
+				createdAt: new Date().toISOString(),
+				device,
+				userCount: payload.users.length,
+				checksum: `sha256:${await sha256(JSON.stringify(payload))}`,
+			},
+			payload,
+		};
+		if (ecdsaPrivateKey) {
+			const key = await importEcdsaKey(ecdsaPrivateKey, 'sign');
+			const value = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, signedContent(bundle));
+			bundle.signature = { algorithm: ECDSA_ALGORITHM, keyId: await ecdsaKeyId(ecdsaPrivateKey), value: toBase64(value) };
+		} else if (hmacSecret) {
+			const key = await importHmacKey(hmacSecret);
+			const value = await crypto.subtle.sign('HMAC', key, signedContent(bundle));
+			bundle.signature = { algorithm: HMAC_ALGORITHM, keyId: null, value: toBase64(value) };
+		}
+		return bundle;
+	}
+
+	/**
+	* @returns {Promise<boolean|null>} Whether the signature checks out, or null
+	*   when none of the given keys can check it.
+	*/
+	async function verifySignature(bundle, { hmacSecret, trustedPublicKeys }) {
+		const { algorithm, keyId, value } = bundle.signature;
+		let signature;
+		try {
+			signature = fromBase64(value);
+		} catch (err) {
+			return false;
+		}
+		if (algorithm === HMAC_ALGORITHM) {
+			if (!hmacSecret) return null;
+			const key = await importHmacKey(hmacSecret);
+			return crypto.subtle.verify('HMAC', key, signature, signedContent(bundle));
+		}
+		if (algorithm === ECDSA_ALGORITHM) {
+			for (const jwk of trustedPublicKeys) {
+				if (await ecdsaKeyId(jwk) !== keyId) continue;
+				const key = await importEcdsaKey(jwk, 'verify');
+				return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, signedContent(bundle));
+			}
+			return null;
+		}
+		fail(ERROR_CODES.UNSUPPORTED_VERSION, `Unknown signature algorithm "${algorithm}".`);
+	}
+
+	/**
+	* Parses and checks a bundle (or a legacy array).
+	* @param {string|Object} input - File text or the parsed JSON.
+	* @param {Object} [options]
+	* @param {string} [options.hmacSecret] - Checks HMAC signatures.
+	* @param {Array<Object>} [options.trustedPublicKeys] - P-256 public JWKs for ECDSA signatures.
+	* @param {boolean} [options.requireSignature=false] - Reject bundles whose signature was not verified.
+	* @returns {Promise<{users: Array<Object>, header: Object|null, verified: boolean, legacy: boolean}>}
+	*   `users` in the explicit record schema.
+	*/
+	async function read(input, { hmacSecret = '', trustedPublicKeys = [], requireSignature = false } = {}) {
+		let data = input;
+		if (typeof input === 'string') {
+			try {
+				data = JSON.parse(input);
+			} catch (err) {
+				fail(ERROR_CODES.INVALID_FORMAT, 'The file is not valid JSON.');
+			}
+		}
+
+		if (Array.isArray(data)) {
+			if (requireSignature) {
+				fail(ERROR_CODES.SIGNATURE_REQUIRED, 'Unsigned descriptor files are not accepted; export a signed bundle.');
+			}
+			const users = checkUsers(data).map(DBMigrations.toUserRecord);
+			return { users, header: null, verified: false, legacy: true };
+		}
+
+		if (!data || data.format !== FORMAT || !data.header || !data.payload) {
+			fail(ERROR_CODES.INVALID_FORMAT, 'This is not a face descriptor bundle.');
+		}
+		const { header } = data;
+		if (!(header.formatVersion <= FORMAT_VERSION)) {
+			fail(ERROR_CODES.UNSUPPORTED_VERSION, `Bundle format version ${header.formatVersion} is newer than this app supports (${FORMAT_VERSION}).`);
+		}
+		if (header.model !== DESCRIPTOR_MODEL || header.dimension !== DESCRIPTOR_DIMENSION) {
+			fail(ERROR_CODES.MODEL_MISMATCH,
+				`The bundle holds ${header.dimension}-value descriptors of "${header.model}"; this app needs ${DESCRIPTOR_DIMENSION}-value descriptors of "${DESCRIPTOR_MODEL}".`);
+		}
+		if (header.checksum !== `sha256:${await sha256(JSON.stringify(data.payload))}`) {
+			fail(ERROR_CODES.CHECKSUM_MISMATCH, 'The bundle content does not match its checksum; the file was changed or damaged.');
+		}
+
+		let verified = false;
+		if (data.signature) {
+			const result = await verifySignature(data, { hmacSecret, trustedPublicKeys });
+			if (result === false) {
+				fail(ERROR_CODES.SIGNATURE_INVALID, 'The bundle signature is invalid; the file was changed or signed with another key.');
+			}
+			if (result === null && requireSignature) {
+				fail(ERROR_CODES.UNTRUSTED_KEY, `The bundle is signed (${data.signature.algorithm}) with a key this device does not trust.`);
+			}
+			verified = result === true;
+		} else if (requireSignature) {
+			fail(ERROR_CODES.SIGNATURE_REQUIRED, 'The bundle is not signed.');
+		}
+
+		const users = checkUsers(data.payload.users).map(DBMigrations.toUserRecord);
+		return { users, header, verified, legacy: false };
+	}
+
+	return {
+		FORMAT,
+		FORMAT_VERSION,
+		DESCRIPTOR_MODEL,
+		DESCRIPTOR_DIMENSION,
+		ERROR_CODES,
+		create,
+		read,
+	};
+})();
@@ -0,0 +1,79 @@
+/**
+ * duplicateScanWorker.js
+ * ----------------------
+ * A dedicated Web Worker that compares every enrolled user with every other
+ * one, so profile_management.html can list likely duplicates without freezing
+ * the page. Started once per scan by findDuplicateUsers() in faceapi_warmup.js.
+ *
+ * The request carries all descriptors as transferred Float32Arrays:
+ *   { type: 'SCAN_DUPLICATES', dimension, threshold,
+ *     captures,   // every user's captures back to back
+ *     offsets,    // Int32Array; user i owns captures offsets[i] .. offsets[i + 1] - 1
+ *     means }     // one mean descriptor per user
+ *
+ * For each pair of users it measures the Euclidean distance between their
+ * means and between their two closest captures, and replies with the pairs
+ * where either is below `threshold`, closest first:
+ *   { type: 'SCAN_RESULT', data: { pairs: [{ a, b, minDistance, meanDistance }], comparisons } }
+ * `a` and `b` are user indices. SCAN_PROGRESS messages ({ done, total } users)
+ * come in between; a malformed request gets { type: 'ERROR', code, message }.
+ */
+
+const PROGRESS_INTERVAL_MS = 200;
+
+function distance(values, i, otherValues, j, dimension) {
+  let sum = 0;
+  const a = i * dimension;
+  const b = j * dimension;
+  for (let k = 0; k < dimension; k++) {
+    const diff = values[a + k] - otherValues[b + k];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
+function scanDuplicates({ dimension, threshold, captures, offsets, means }) {
+  const userCount = offsets.length - 1;
+  if (!(dimension > 0) || userCount < 0 || captures.length !== offsets[userCount] * dimension
+    || means.length !== userCount * dimension) {
+    throw new Error('Descriptor arrays do not match the user offsets.');
+  }
+  const pairs = [];
+  let comparisons = 0;
+  let reportedAt = Date.now();
+  for (let a = 0; a < userCount; a++) {
+    for (let b = a + 1; b < userCount; b++) {
+      const meanDistance = distance(means, a, means, b, dimension);
+      let minDistance = Infinity;
+      for (let i = offsets[a]; i < offsets[a + 1]; i++) {
+        for (let j = offsets[b]; j < offsets[b + 1]; j++) {
+          minDistance = Math.min(minDistance, distance(captures, i, captures, j, dimension));
+        }
+      }
+      comparisons += (offsets[a + 1] - offsets[a]) * (offsets[b + 1] - offsets[b]);
+      if (minDistance < threshold || meanDistance < threshold) {
+        pairs.push({ a, b, minDistance, meanDistance });
+      }
+    }
+    if (Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+      reportedAt = Date.now();
+      self.postMessage({ type: 'SCAN_PROGRESS', done: a + 1, total: userCount });
+    }
+  }
+  pairs.sort((x, y) => x.minDistance - y.minDistance);
+  return { pairs, comparisons };
+}
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+  if (type !== 'SCAN_DUPLICATES') {
+    console.warn('DuplicateScanWorker: Unknown message type:', type);
+    return;
+  }
+  try {
+    self.postMessage({ type: 'SCAN_RESULT', data: scanDuplicates(event.data) });
+  } catch (error) {
+    console.error('DuplicateScanWorker: SCAN_DUPLICATES failed', error);
+    self.postMessage({ type: 'ERROR', requestType: type, code: 'INVALID_INPUT', message: error.message });
+  }
+};
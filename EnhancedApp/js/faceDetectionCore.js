@@ -0,0 +1,405 @@
+/**
+ * faceDetectionCore.js
+ * --------------------
+ * Model loading and face detection shared by faceDetectionServiceWorker.js and
+ * faceDetectionWebWorker.js. Each worker imports this after face-api.min.js and
+ * faceGeometry.js, and only takes care of its own transport (replying to
+ * event.source vs. self.postMessage), so both backends behave and fail the
+ * same way.
+ *
+ * Failures are thrown as FaceWorkerError with one of ERROR_CODES; the workers
+ * turn them into { type: 'ERROR', code, requestId, ... } replies via
+ * toErrorMessage().
+ *
+ * The face detector is chosen per request with `face_detector_options.detector`
+ * ('tiny' | 'ssd' | 'mtcnn', default 'tiny'). Only the TinyFaceDetector weights
+ * are loaded up front; the others are fetched the first time they are asked
+ * for, so a page can switch detectors at runtime. `landmarkModel` picks the
+ * 68-point landmark network the same way ('full' | 'tiny', default 'full').
+ *
+ * Frames arrive as a transferred ImageBitmap (`bitmap`) or a transferred RGBA
+ * ArrayBuffer (`pixels`); a plain ImageData is still accepted. Face crops go
+ * back as ImageBitmaps, which the workers list as transferables via
+ * getTransferables().
+ *
+ * Each detection gets its own crop, cut from its aligned box and shaped by
+ * `face_detector_options.crop` – see DEFAULT_CROP_OPTIONS. The crops travel
+ * once, in result[1] in detection order; the page attaches them back as
+ * `detection.thumbnail`.
+ *
+ * `face_detector_options.skipDescriptorBoxes` lists `{ x, y, width, height }`
+ * boxes of faces the page already knows (confirmed tracks, see faceTracker.js).
+ * Detections overlapping one of them get landmarks and a crop but no
+ * descriptor, which saves the recognition net's run for that face.
+ */
+
+const ERROR_CODES = {
+  MODELS_NOT_LOADED: 'MODELS_NOT_LOADED',
+  MODEL_FETCH_FAILED: 'MODEL_FETCH_FAILED',
+  INVALID_DIMENSIONS: 'INVALID_DIMENSIONS',
+  INFERENCE_FAILED: 'INFERENCE_FAILED',
+  INVALID_OPTIONS: 'INVALID_OPTIONS',
+};
+
+class FaceWorkerError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'FaceWorkerError';
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+let isModelLoaded = false;
+let loadedModelUri = null;
+const netsLoading = new Map();
+
+// One canvas for every frame, resized only when the frame size changes
+let frameCanvas = null;
+// The Service Worker can get frames from several tabs at once; they share
+// frameCanvas, so detections run one after another.
+let frameQueue = Promise.resolve();
+
+const DEFAULT_DETECTOR = 'tiny';
+
+// Weights for 'ssd' and 'mtcnn' are not bundled; see the README for the files
+// to add to models/ before selecting them.
+const DETECTORS = {
+  tiny: {
+    net: () => faceapi.nets.tinyFaceDetector,
+    buildOptions: options => new faceapi.TinyFaceDetectorOptions(options),
+  },
+  ssd: {
+    net: () => faceapi.nets.ssdMobilenetv1,
+    // Accept the TinyFaceDetector option names too, so switching keeps the page's thresholds
+    buildOptions: options => new faceapi.SsdMobilenetv1Options({
+      minConfidence: options.minConfidence !== undefined ? options.minConfidence : options.scoreThreshold,
+      maxResults: options.maxResults !== undefined ? options.maxResults : options.maxDetectedFaces,
+    }),
+  },
+  mtcnn: {
+    net: () => faceapi.nets.mtcnn,
+    buildOptions: options => new faceapi.MtcnnOptions(options),
+  },
+};
+
+const DEFAULT_LANDMARK_MODEL = 'full';
+
+// The tiny landmark net is ~80 KB instead of ~350 KB and noticeably faster on
+// low-end devices, at the cost of less precise points.
+const LANDMARK_MODELS = {
+  full: () => faceapi.nets.faceLandmark68Net,
+  tiny: () => faceapi.nets.faceLandmark68TinyNet,
+};
+
+const DEFAULT_CROP_OPTIONS = {
+  padding: 0.25,    // extra margin on each side, as a fraction of the box size
+  size: 0,          // output width/height in px; 0 keeps the source resolution
+  alignEyes: false, // rotate the crop so both eyes sit on one horizontal line
+};
+
+// Overlap (intersection over union) at which a detection counts as a skipped box
+const SKIP_DESCRIPTOR_IOU = 0.5;
+
+const FaceDetectorOptionsDefault = new faceapi.TinyFaceDetectorOptions({
+  inputSize: 128,
+  scoreThreshold: 0.1,
+  maxDetectedFaces: 1,
+});
+
+function getDetectorName(face_detector_options) {
+  const detector = face_detector_options && face_detector_options.detector
+    ? face_detector_options.detector
+    : DEFAULT_DETECTOR;
+  if (!DETECTORS[detector]) {
+    throw new FaceWorkerError(ERROR_CODES.INVALID_OPTIONS, `Unknown face detector "${detector}"`, {
+      detector,
+      supported: Object.keys(DETECTORS),
+    });
+  }
+  return detector;
+}
+
+function getLandmarkModelName(face_detector_options) {
+  const landmarkModel = face_detector_options && face_detector_options.landmarkModel
+    ? face_detector_options.landmarkModel
+    : DEFAULT_LANDMARK_MODEL;
+  if (!LANDMARK_MODELS[landmarkModel]) {
+    throw new FaceWorkerError(ERROR_CODES.INVALID_OPTIONS, `Unknown landmark model "${landmarkModel}"`, {
+      landmarkModel,
+      supported: Object.keys(LANDMARK_MODELS),
+    });
+  }
+  return landmarkModel;
+}
+
+function buildDetectorOptions(face_detector_options) {
+  if (typeof face_detector_options === 'undefined' || face_detector_options === 'undefined' || face_detector_options === null) {
+    return FaceDetectorOptionsDefault;
+  }
+  // Only the detector's own settings go to its options class
+  const options = { ...face_detector_options };
+  delete options.detector;
+  delete options.landmarkModel;
+  delete options.crop;
+  delete options.skipDescriptorBoxes;
+  return DETECTORS[getDetectorName(face_detector_options)].buildOptions(options);
+}
+
+/**
+ * Loads one network once; concurrent callers share the same download.
+ * @param {string} name - Key used for de-duplication and error details.
+ * @param {Object} net - A face-api.js network, e.g. faceapi.nets.ssdMobilenetv1.
+ * @param {string} modelUri - Models directory, relative to the worker script.
+ * @param {Object} [extraDetails] - Merged into the MODEL_FETCH_FAILED details.
+ */
+function loadNet(name, net, modelUri, extraDetails) {
+  if (net.isLoaded) {
+    return Promise.resolve();
+  }
+  if (!netsLoading.has(name)) {
+    const loading = net.loadFromUri(modelUri)
+      .catch(error => {
+        throw new FaceWorkerError(ERROR_CODES.MODEL_FETCH_FAILED, `Failed to load face-api.js model ${name}`, {
+          modelUri,
+          model: name,
+          ...extraDetails,
+          reason: error && error.message ? error.message : String(error),
+        });
+      })
+      .finally(() => netsLoading.delete(name));
+    netsLoading.set(name, loading);
+  }
+  return netsLoading.get(name);
+}
+
+function loadDetector(detector, modelUri) {
+  return loadNet(detector, DETECTORS[detector].net(), modelUri, { detector });
+}
+
+function loadLandmarkModel(landmarkModel, modelUri) {
+  return loadNet(`landmark68-${landmarkModel}`, LANDMARK_MODELS[landmarkModel](), modelUri, { landmarkModel });
+}
+
+/**
+ * Loads the recognition model plus the requested detector and landmark model.
+ * Calling it again with other choices only downloads what is new.
+ * @param {string} modelUri - Models directory, relative to the worker script.
+ * @param {Object} [face_detector_options] - Only `detector` and `landmarkModel` are read here.
+ */
+async function loadModels(modelUri, face_detector_options) {
+  const detector = getDetectorName(face_detector_options);
+  const landmarkModel = getLandmarkModelName(face_detector_options);
+  if (!isModelLoaded) {
+    await loadNet('faceRecognitionNet', faceapi.nets.faceRecognitionNet, modelUri);
+    loadedModelUri = modelUri;
+    isModelLoaded = true;
+  }
+  await loadLandmarkModel(landmarkModel, modelUri);
+  await loadDetector(detector, modelUri);
+}
+
+function getFrameSize(frame) {
+  if (frame instanceof ArrayBuffer) {
+    return { pixelCount: frame.byteLength / 4 };
+  }
+  return frame ? { width: frame.width, height: frame.height } : {};
+}
+
+function isFrameSizeValid(frame, width, height) {
+  if (!width || !height || !frame) {
+    return false;
+  }
+  const size = getFrameSize(frame);
+  return size.pixelCount !== undefined
+    ? size.pixelCount === width * height
+    : size.width === width && size.height === height;
+}
+
+function drawFrame(frame, width, height) {
+  if (!frameCanvas) {
+    frameCanvas = new OffscreenCanvas(width, height);
+  } else if (frameCanvas.width !== width || frameCanvas.height !== height) {
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+  }
+  const ctx = frameCanvas.getContext('2d');
+  if (frame instanceof ArrayBuffer) {
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(frame), width, height), 0, 0);
+  } else if (frame instanceof ImageData) {
+    ctx.putImageData(frame, 0, 0);
+  } else {
+    ctx.drawImage(frame, 0, 0);
+  }
+  return frameCanvas;
+}
+
+function getSkipDescriptorBoxes(face_detector_options) {
+  const boxes = face_detector_options && face_detector_options.skipDescriptorBoxes;
+  if (boxes === undefined || boxes === null) {
+    return [];
+  }
+  const valid = Array.isArray(boxes) && boxes.every(box =>
+    box && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(box[key])));
+  if (!valid) {
+    throw new FaceWorkerError(ERROR_CODES.INVALID_OPTIONS, 'skipDescriptorBoxes must be a list of { x, y, width, height }', {
+      skipDescriptorBoxes: boxes,
+    });
+  }
+  return boxes;
+}
+
+function boxIoU(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * Same as .withFaceDescriptors(), but leaves detections overlapping one of
+ * skipBoxes without a descriptor.
+ */
+async function withSelectedDescriptors(canvas, detections, skipBoxes) {
+  const pending = detections.filter(detection =>
+    !skipBoxes.some(box => boxIoU(detection.detection.box, box) >= SKIP_DESCRIPTOR_IOU));
+  if (pending.length === 0) {
+    return detections;
+  }
+  const faces = await faceapi.extractFaces(canvas, pending.map(detection => detection.alignedRect));
+  const descriptors = await Promise.all(faces.map(face => faceapi.computeFaceDescriptor(face)));
+  return detections.map(detection => {
+    const index = pending.indexOf(detection);
+    return index === -1 ? detection : faceapi.extendWithFaceDescriptor(detection, descriptors[index]);
+  });
+}
+
+function getCropOptions(face_detector_options) {
+  const crop = Object.assign({}, DEFAULT_CROP_OPTIONS, face_detector_options && face_detector_options.crop);
+  return {
+    padding: Math.max(0, Number(crop.padding) || 0),
+    size: Math.max(0, Math.round(Number(crop.size) || 0)),
+    alignEyes: Boolean(crop.alignEyes),
+  };
+}
+
+/**
+ * Cuts a square crop around one detection's aligned box. With alignEyes the
+ * frame is rotated about the face centre by the angle between the eye centres.
+ */
+function extractFaceCrop(source, detection, cropOptions) {
+  const box = detection.alignedRect.box;
+  const side = Math.max(box.width, box.height) * (1 + 2 * cropOptions.padding);
+  const outputSize = Math.max(1, cropOptions.size || Math.round(side));
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+
+  const faceCanvas = new OffscreenCanvas(outputSize, outputSize);
+  const ctx = faceCanvas.getContext('2d');
+  ctx.translate(outputSize / 2, outputSize / 2);
+  ctx.scale(outputSize / side, outputSize / side);
+  if (cropOptions.alignEyes) {
+    // Same angle faceQuality.js uses to map landmarks into the crop
+    ctx.rotate(-FaceGeometry.eyeLineAngle(FaceGeometry.getPoints(detection)));
+  }
+  ctx.drawImage(source, -centerX, -centerY);
+  return toTransferableImage(faceCanvas);
+}
+
+function toTransferableImage(faceCanvas) {
+  if (typeof faceCanvas.transferToImageBitmap === 'function') {
+    return faceCanvas.transferToImageBitmap();
+  }
+  return faceCanvas.getContext('2d').getImageData(0, 0, faceCanvas.width, faceCanvas.height);
+}
+
+async function runDetection(frame, width, height, face_detector_options) {
+  if (!isModelLoaded) {
+    throw new FaceWorkerError(ERROR_CODES.MODELS_NOT_LOADED, 'Models not loaded yet');
+  }
+  const detectorOptions = buildDetectorOptions(face_detector_options);
+  const landmarkModel = getLandmarkModelName(face_detector_options);
+  const skipBoxes = getSkipDescriptorBoxes(face_detector_options);
+  await loadDetector(getDetectorName(face_detector_options), loadedModelUri);
+  await loadLandmarkModel(landmarkModel, loadedModelUri);
+
+  // Guard against invalid dimensions; OffscreenCanvas throws on 0 or NaN sizes
+  if (!isFrameSizeValid(frame, width, height)) {
+    const size = getFrameSize(frame);
+    throw new FaceWorkerError(ERROR_CODES.INVALID_DIMENSIONS, 'Invalid frame dimensions', {
+      width,
+      height,
+      imageWidth: size.width !== undefined ? size.width : null,
+      imageHeight: size.height !== undefined ? size.height : null,
+    });
+  }
+
+  try {
+    const canvas = drawFrame(frame, width, height);
+
+    const withLandmarks = faceapi
+      .detectAllFaces(canvas, detectorOptions)
+      .withFaceLandmarks(landmarkModel === 'tiny');
+    const detections = skipBoxes.length
+      ? await withSelectedDescriptors(canvas, await withLandmarks, skipBoxes)
+      : await withLandmarks.withFaceDescriptors();
+
+    if (detections.length === 0) {
+      return [[], []];
+    }
+
+    const cropOptions = getCropOptions(face_detector_options);
+    const faceImages = detections.map(detection => extractFaceCrop(canvas, detection, cropOptions));
+    return [detections, faceImages];
+  } catch (error) {
+    throw new FaceWorkerError(ERROR_CODES.INFERENCE_FAILED, 'Face detection failed', {
+      reason: error && error.message ? error.message : String(error),
+    });
+  }
+}
+
+/**
+ * Runs detection, landmarks and descriptors on one frame. A detector or
+ * landmark model that has not been used yet is loaded first. An ImageBitmap
+ * frame is closed once it has been used.
+ * @param {ImageBitmap|ArrayBuffer|ImageData} frame - ArrayBuffer holds RGBA pixels.
+ * @returns {Promise<Array>} [detections, faceImages] – one ImageBitmap crop per detection
+ */
+function detectFaces(frame, width, height, face_detector_options) {
+  const run = frameQueue.then(() => runDetection(frame, width, height, face_detector_options))
+    .finally(() => {
+      if (typeof ImageBitmap !== 'undefined' && frame instanceof ImageBitmap) {
+        frame.close();
+      }
+    });
+  frameQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Lists the face crops of a detectFaces() result that can be transferred
+ * instead of copied when posting the reply.
+ */
+function getTransferables(result) {
+  const faceImages = Array.isArray(result) && Array.isArray(result[1]) ? result[1] : [];
+  return faceImages.filter(image => typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+}
+
+/**
+ * Builds the ERROR reply for a failed request. Unexpected exceptions are
+ * reported as INFERENCE_FAILED so the page always receives a code.
+ */
+function toErrorMessage(error, requestId, requestType) {
+  const isWorkerError = error instanceof FaceWorkerError;
+  return {
+    type: 'ERROR',
+    requestId,
+    requestType,
+    code: isWorkerError ? error.code : ERROR_CODES.INFERENCE_FAILED,
+    message: error && error.message ? error.message : String(error),
+    details: isWorkerError ? error.details : null,
+  };
+}
@@ -0,0 +1,406 @@
+/**
+* faceEngine.js
+* -------------
+* Promise-based client for the face-api.js workers. Every call posts one
+* request tagged with a requestId and resolves when the reply carrying the same
+* ID comes back:
+*
+*   await FaceEngine.loadModels();
+*   await FaceEngine.warmup();
+*   const { detections, displaySize } = await FaceEngine.detect(await createImageBitmap(video));
+*   await FaceEngine.ping();
+*   FaceEngine.dispose();
+*
+* The engine prefers faceDetectionServiceWorker.js and falls back to
+* faceDetectionWebWorker.js when Service Workers or OffscreenCanvas are not
+* available (and always on iOS). Callers never need to know which backend is in
+* use; `FaceEngine.backend` reports it for logging.
+*
+* Unsolicited messages and every reply are also passed to listeners registered
+* with `FaceEngine.onMessage(fn)`.
+*
+* When the worker answers with an ERROR message the call rejects with a
+* FaceEngineError carrying the worker's code (MODELS_NOT_LOADED,
+* MODEL_FETCH_FAILED, INVALID_DIMENSIONS or INFERENCE_FAILED). Failures on
+* this side use the codes in FaceEngine.ERROR_CODES: NO_WORKER, TIMEOUT,
+* WORKER_ERROR (the Web Worker crashed) and DISPOSED.
+*
+* loadModels(), warmup() and detect() reject with TIMEOUT after
+* `config.loadModelsTimeout`, `warmupTimeout` and `detectTimeout`. Their
+* timeouts are also passed to the listeners as ERROR messages with code
+* TIMEOUT, so the page can recover the way it does from worker errors.
+*/
+class FaceEngineError extends Error {
+	constructor(message, code, requestId, details) {
+		super(message);
+		this.name = 'FaceEngineError';
+		this.code = code;
+		this.requestId = requestId;
+		this.details = details || null;
+	}
+}
+
+var FaceEngine = (function () {
+	const ERROR_CODES = {
+		NO_WORKER: 'NO_WORKER',
+		TIMEOUT: 'TIMEOUT',
+		WORKER_ERROR: 'WORKER_ERROR',
+		DISPOSED: 'DISPOSED',
+	};
+
+	const config = {
+		serviceWorkerFileName: 'faceDetectionServiceWorker.js',
+		// The SW sits at the app root so its scope covers the pages it serves offline
+		serviceWorkerFilePath: './faceDetectionServiceWorker.js',
+		serviceWorkerScope: './',
+		webWorkerFilePath: './js/faceDetectionWebWorker.js',
+		warmupImagePath: './models/face_for_loading.png',
+		pingTimeout: 2000,
+		// Milliseconds without a reply before a request rejects with TIMEOUT; 0 waits forever
+		detectTimeout: 10000,
+		warmupTimeout: 30000,
+		// Covers downloading the weights, so it is much longer
+		loadModelsTimeout: 120000,
+		// 'auto' picks the Service Worker where supported; 'web-worker' forces the fallback
+		preferredBackend: 'auto',
+	};
+
+	const log = {
+		info: (message, ...args) => console.log(`[FaceEngine] ${message}`, ...args),
+		warn: (message, ...args) => console.warn(`[FaceEngine] ${message}`, ...args),
+		error: (message, ...args) => console.error(`[FaceEngine] ${message}`, ...args),
+	};
+
+	let backend = null;        // 'service-worker' | 'web-worker'
+	let target = null;         // ServiceWorker or Worker that requests are posted to
+	let startPromise = null;
+	const clientTag = Math.random().toString(36).slice(2, 10);
+	let requestSeq = 0;
+	const pendingRequests = new Map();
+	const listeners = new Set();
+
+	function configure(options) {
+		Object.assign(config, options);
+	}
+
+	/**
+	* Registers a listener for every message this page receives from the worker.
+	* @param {Function} fn - Called with the message data.
+	* @returns {Function} Unsubscribe function.
+	*/
+	function onMessage(fn) {
+		listeners.add(fn);
+		return () => listeners.delete(fn);
+	}
+
+	function emit(message) {
+		listeners.forEach(fn => {
+			try {
+				fn(message);
+			} catch (err) {
+				log.error('Message listener failed:', err);
+			}
+		});
+	}
+
+	function handleMessage(event) {
+		const message = event.data || {};
+		const { requestId } = message;
+		if (requestId !== undefined) {
+			const pending = pendingRequests.get(requestId);
+			if (!pending) {
+				// A reply to another tab (broadcast fallback) – not ours to handle
+				return;
+			}
+			pendingRequests.delete(requestId);
+			clearTimeout(pending.timer);
+			if (message.type === 'ERROR') {
+				pending.reject(new FaceEngineError(message.message, message.code, requestId, message.details));
+			} else {
+				pending.resolve(message);
+			}
+		}
+		emit(message);
+	}
+
+	function rejectAllPending(message, code) {
+		pendingRequests.forEach((pending, requestId) => {
+			clearTimeout(pending.timer);
+			pending.reject(new FaceEngineError(message, code, requestId));
+		});
+		pendingRequests.clear();
+	}
+
+	function delay(ms) {
+		return new Promise(resolve => setTimeout(resolve, ms));
+	}
+
+	async function registerServiceWorker() {
+		// Attempt to find an existing registration for our SW file within scope
+		const scriptURL = new URL(config.serviceWorkerFilePath, location.href).href;
+		const registrations = await navigator.serviceWorker.getRegistrations();
+		let registration = registrations.find(reg => reg.active && reg.active.scriptURL === scriptURL);
+
+		// Older releases registered the SW from js/ with scope ./js/; drop those
+		registrations
+			.filter(reg => reg.active && reg.active.scriptURL !== scriptURL && reg.active.scriptURL.endsWith(config.serviceWorkerFileName))
+			.forEach(reg => {
+				log.info('Unregistering stale service worker:', reg.active.scriptURL);
+				reg.unregister();
+			});
+
+		if (!registration) {
+			log.info('No active service worker found. Registering a new one.');
+			registration = await navigator.serviceWorker.register(config.serviceWorkerFilePath, { scope: config.serviceWorkerScope });
+		}
+
+		// Wait until the service worker is activated. Avoid using navigator.serviceWorker.ready
+		if (!registration.active) {
+			log.info('Waiting for service worker to activate...');
+			await new Promise(resolve => {
+				const installingWorker = registration.installing || registration.waiting;
+				if (!installingWorker || installingWorker.state === 'activated') {
+					return resolve();
+				}
+				installingWorker.addEventListener('statechange', evt => {
+					if (evt.target.state === 'activated') {
+						resolve();
+					}
+				});
+			});
+		}
+		return registration.active || registration.waiting || registration.installing;
+	}
+
+	async function startServiceWorker() {
+		const sw = await registerServiceWorker();
+		if (!sw) {
+			throw new Error('Service worker registration returned no worker');
+		}
+		// Same function reference, so re-starting never adds a duplicate listener
+		navigator.serviceWorker.removeEventListener('message', handleMessage);
+		navigator.serviceWorker.addEventListener('message', handleMessage);
+
+		// Posting to a freshly installed worker too early can throw and stall everything
+		await delay(500);
+
+		target = navigator.serviceWorker.controller || sw;
+		backend = 'service-worker';
+	}
+
+	function startWebWorker() {
+		if (!window.Worker) {
+			throw new Error('Web Workers are not supported in this browser.');
+		}
+		const webWorker = new Worker(config.webWorkerFilePath);
+		webWorker.onmessage = handleMessage;
+		webWorker.onerror = (error) => {
+			log.error('Web Worker error:', error);
+			rejectAllPending(error.message || 'Web Worker error', ERROR_CODES.WORKER_ERROR);
+			emit({ type: 'WORKER_ERROR', details: error.message || String(error) });
+		};
+		target = webWorker;
+		backend = 'web-worker';
+	}
+
+	async function selectBackend() {
+		const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
+		const swSupported = 'serviceWorker' in navigator;
+		const offscreenSupported = typeof OffscreenCanvas !== 'undefined';
+
+		if (config.preferredBackend === 'web-worker') {
+			log.info('Web Worker backend requested.');
+		} else if (swSupported && offscreenSupported && !isIOS) {
+			try {
+				await startServiceWorker();
+				log.info('Using Service Worker backend.');
+				return backend;
+			} catch (err) {
+				log.error('Service Worker initialization failed. Falling back to Web Worker.', err);
+			}
+		} else {
+			const reason = !swSupported ? 'ServiceWorker not supported' :
+				!offscreenSupported ? 'OffscreenCanvas not supported' :
+				'iOS detected';
+			log.warn(`Compatibility check failed: ${reason}. Forcing Web Worker fallback.`);
+		}
+		startWebWorker();
+		log.info('Using Web Worker backend.');
+		return backend;
+	}
+
+	/**
+	* Starts a backend once; concurrent callers share the same promise.
+	* @returns {Promise<string>} The backend in use.
+	*/
+	function start() {
+		if (!startPromise) {
+			startPromise = selectBackend().catch(err => {
+				startPromise = null;
+				throw err;
+			});
+		}
+		return startPromise;
+	}
+
+	/**
+	* Posts a message tagged with a fresh requestId.
+	* @param {Object} message - Message with at least a `type` field.
+	* @param {number} [timeoutMs] - Reject with a TIMEOUT error if no reply arrives in time.
+	* @param {Array<Transferable>} [transfer] - Objects to move to the worker instead of copying.
+	* @returns {Promise<Object>} Resolves with the reply carrying the same requestId.
+	*/
+	async function request(message, timeoutMs, transfer = []) {
+		await start();
+		return new Promise((resolve, reject) => {
+			requestSeq++;
+			const requestId = `${clientTag}-${requestSeq}`;
+			if (!target) {
+				reject(new FaceEngineError(`No worker to send ${message.type} to`, ERROR_CODES.NO_WORKER, requestId));
+				return;
+			}
+			const pending = { type: message.type, resolve, reject, timer: null };
+			if (timeoutMs) {
+				pending.timer = setTimeout(() => {
+					pendingRequests.delete(requestId);
+					const error = new FaceEngineError(`No reply to ${message.type} within ${timeoutMs} ms`, ERROR_CODES.TIMEOUT, requestId, { timeoutMs });
+					if (message.type !== 'PING') {
+						// PING callers handle their own timeout (the visibility health check)
+						emit({ type: 'ERROR', requestId, requestType: message.type, code: error.code, message: error.message, details: error.details });
+					}
+					reject(error);
+				}, timeoutMs);
+			}
+			pendingRequests.set(requestId, pending);
+			target.postMessage({ ...message, requestId }, transfer);
+		});
+	}
+
+	/**
+	* Starts a backend if needed and loads the face-api.js models in it. Calling
+	* it again with another `detector` loads just that detector's weights.
+	* @param {Object} [detectorOptions] - `detector` is 'tiny' (default), 'ssd' or 'mtcnn'.
+	* @returns {Promise<string>} The backend in use.
+	*/
+	async function loadModels(detectorOptions) {
+		await request({ type: 'LOAD_MODELS', face_detector_options: detectorOptions }, config.loadModelsTimeout);
+		return backend;
+	}
+
+	/**
+	* Frame fields for DETECT_FACES/WARMUP_FACES. An ImageBitmap is transferred
+	* as is; ImageData pixels are transferred as a bare ArrayBuffer. Either way
+	* the caller's frame is unusable afterwards.
+	*/
+	function toFrameMessage(frame) {
+		if (typeof ImageBitmap !== 'undefined' && frame instanceof ImageBitmap) {
+			return { fields: { bitmap: frame, width: frame.width, height: frame.height }, transfer: [frame] };
+		}
+		const pixels = frame.data.buffer;
+		return { fields: { pixels, width: frame.width, height: frame.height }, transfer: [pixels] };
+	}
+
+	function loadImageData(src) {
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			img.onload = () => {
+				const canvas = document.createElement('canvas');
+				canvas.width = img.width;
+				canvas.height = img.height;
+				const context = canvas.getContext('2d', { willReadFrequently: true });
+				context.drawImage(img, 0, 0, img.width, img.height);
+				resolve(context.getImageData(0, 0, img.width, img.height));
+			};
+			img.onerror = () => reject(new Error(`Failed to load warmup image: ${src}`));
+			img.src = src;
+		});
+	}
+
+	/**
+	* Runs one detection on a static image so the first real frame is fast.
+	* @param {string} [imagePath] - Defaults to the bundled face_for_loading.png.
+	* @param {Object} [detectorOptions] - Warm up the detector the page will use.
+	* @returns {Promise<Object>} The WARMUP_RESULT data.
+	*/
+	async function warmup(imagePath = config.warmupImagePath, detectorOptions) {
+		const frame = toFrameMessage(await loadImageData(imagePath));
+		const reply = await request({
+			type: 'WARMUP_FACES',
+			...frame.fields,
+			face_detector_options: detectorOptions,
+		}, config.warmupTimeout, frame.transfer);
+		return reply.data;
+	}
+
+	/**
+	* Detects faces, landmarks and descriptors in one frame. The frame is
+	* transferred to the worker, not copied, so it cannot be used afterwards.
+	* @param {ImageBitmap|ImageData} frame - The frame to analyse.
+	* @param {Object} [detectorOptions] - Forwarded as face_detector_options; may switch `detector`.
+	* @returns {Promise<{detections: Array, displaySize: Object}>} `detections[1]`
+	*   holds the face crops as ImageBitmaps.
+	*/
+	async function detect(frame, detectorOptions) {
+		const { fields, transfer } = toFrameMessage(frame);
+		const reply = await request({
+			type: 'DETECT_FACES',
+			...fields,
+			face_detector_options: detectorOptions,
+		}, config.detectTimeout, transfer);
+		return reply.data;
+	}
+
+	/**
+	* Health check. Rejects with a TIMEOUT error if the worker does not answer.
+	* @param {number} [timeoutMs]
+	* @returns {Promise<number>} Round-trip time in milliseconds.
+	*/
+	async function ping(timeoutMs = config.pingTimeout) {
+		const sentAt = Date.now();
+		await request({ type: 'PING' }, timeoutMs);
+		return Date.now() - sentAt;
+	}
+
+	/**
+	* Abandons the current backend and restarts on the Web Worker fallback. Used
+	* when the Service Worker cannot fetch models or keeps failing inference.
+	* Models must be loaded again afterwards.
+	* @returns {Promise<string>} The backend in use.
+	*/
+	function fallbackToWebWorker() {
+		dispose();
+		config.preferredBackend = 'web-worker';
+		return start();
+	}
+
+	/**
+	* Rejects outstanding requests and releases the backend. The Service Worker
+	* itself stays registered because other tabs may be using it.
+	*/
+	function dispose() {
+		rejectAllPending('FaceEngine was disposed', ERROR_CODES.DISPOSED);
+		if (backend === 'web-worker' && target) {
+			target.terminate();
+		} else if (backend === 'service-worker') {
+			navigator.serviceWorker.removeEventListener('message', handleMessage);
+		}
+		target = null;
+		backend = null;
+		startPromise = null;
+	}
+
+	return {
+		ERROR_CODES,
+		configure,
+		onMessage,
+		loadModels,
+		warmup,
+		detect,
+		ping,
+		fallbackToWebWorker,
+		dispose,
+		get backend() {
+			return backend;
+		},
+	};
+})();
@@ -0,0 +1,133 @@
+/**
+* faceGeometry.js
+* ---------------
+* Measurements on the 68 face landmarks returned by the workers:
+*
+*   const points = FaceGeometry.getPoints(detection);
+*   FaceGeometry.eyeAspectRatio(points);   // ~0.3 open, < 0.2 closed
+*   FaceGeometry.mouthAspectRatio(points); // ~0 closed, > 0.5 wide open
+*   FaceGeometry.estimatePose(points);     // { yaw, pitch, roll } in degrees
+*   FaceGeometry.eyeLineAngle(points);     // radians, 0 when the eyes are level
+*
+* Also imported by both detection workers, where extractFaceCrop() levels the
+* eyes with eyeLineAngle(); faceQuality.js maps landmarks into that crop with
+* the same angle.
+*
+* Detections reach the page as structured clones, so landmarks are plain
+* `{ _x, _y }` objects rather than face-api.js Points; getPoints() accepts both.
+*
+* Pose angles are estimates from 2D landmark ratios, good enough to tell
+* "frontal" from "turned" but not calibrated measurements. Signs are from the
+* subject's point of view in the unmirrored camera frame: positive yaw means
+* the head is turned to the subject's left, positive pitch means looking up,
+* positive roll means the head is tilted towards the subject's left shoulder.
+*/
+var FaceGeometry = (function () {
+	// Landmark indices of the 68-point model
+	const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+	const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+	const INNER_MOUTH = [60, 61, 62, 63, 64, 65, 66, 67];
+	const NOSE_TIP = 30;
+	const CHIN = 8;
+	// Share of the eye-to-chin height above the nose tip for a frontal face
+	const FRONTAL_PITCH_RATIO = 0.45;
+
+	function toDegrees(radians) {
+		return radians * 180 / Math.PI;
+	}
+
+	function clamp(value, min, max) {
+		return Math.min(Math.max(value, min), max);
+	}
+
+	function distance(a, b) {
+		return Math.hypot(a.x - b.x, a.y - b.y);
+	}
+
+	function center(points) {
+		const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+		return { x: sum.x / points.length, y: sum.y / points.length };
+	}
+
+	/**
+	* @param {Object} detection - A detection from DETECTION_RESULT.
+	* @returns {Array<{x: number, y: number}>|null} The 68 points, or null without landmarks.
+	*/
+	function getPoints(detection) {
+		const landmarks = detection && detection.landmarks;
+		const raw = landmarks && (landmarks._positions || landmarks.positions);
+		if (!Array.isArray(raw) || raw.length < 68) {
+			return null;
+		}
+		return raw.map(p => ({
+			x: p._x !== undefined ? p._x : p.x,
+			y: p._y !== undefined ? p._y : p.y,
+		}));
+	}
+
+	// Soukupová & Čech eye aspect ratio: vertical openness over eye width
+	function singleEyeAspectRatio(points, indices) {
+		const [p1, p2, p3, p4, p5, p6] = indices.map(i => points[i]);
+		const width = distance(p1, p4);
+		return width ? (distance(p2, p6) + distance(p3, p5)) / (2 * width) : 0;
+	}
+
+	/**
+	* Mean eye aspect ratio of both eyes.
+	*/
+	function eyeAspectRatio(points) {
+		return (singleEyeAspectRatio(points, LEFT_EYE) + singleEyeAspectRatio(points, RIGHT_EYE)) / 2;
+	}
+
+	/**
+	* Inner-lip opening over mouth width.
+	*/
+	function mouthAspectRatio(points) {
+		const [p60, p61, p62, p63, p64, p65, p66, p67] = INNER_MOUTH.map(i => points[i]);
+		const width = distance(p60, p64);
+		return width ? (distance(p61, p67) + distance(p62, p66) + distance(p63, p65)) / (3 * width) : 0;
+	}
+
+	/**
+	* Angle of the line from the left to the right eye centre.
+	* @returns {number} Radians; positive when the right eye sits lower in the frame.
+	*/
+	function eyeLineAngle(points) {
+		const leftEye = center(LEFT_EYE.map(i => points[i]));
+		const rightEye = center(RIGHT_EYE.map(i => points[i]));
+		return Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+	}
+
+	/**
+	* @returns {{yaw: number, pitch: number, roll: number}} Degrees, see the file header for signs.
+	*/
+	function estimatePose(points) {
+		const leftEye = center(LEFT_EYE.map(i => points[i]));
+		const rightEye = center(RIGHT_EYE.map(i => points[i]));
+		const nose = points[NOSE_TIP];
+		const chin = points[CHIN];
+
+		// The nose tip moves towards the eye on the side the head turns away from
+		const toLeftEye = Math.abs(nose.x - leftEye.x);
+		const toRightEye = Math.abs(rightEye.x - nose.x);
+		const yawRatio = (toLeftEye + toRightEye) ? (toLeftEye - toRightEye) / (toLeftEye + toRightEye) : 0;
+
+		const eyeLineY = (leftEye.y + rightEye.y) / 2;
+		const faceHeight = chin.y - eyeLineY;
+		const pitchRatio = faceHeight ? (nose.y - eyeLineY) / faceHeight : FRONTAL_PITCH_RATIO;
+
+		return {
+			yaw: toDegrees(Math.asin(clamp(yawRatio, -1, 1))),
+			pitch: toDegrees(Math.asin(clamp((FRONTAL_PITCH_RATIO - pitchRatio) * 2.5, -1, 1))),
+			roll: toDegrees(eyeLineAngle(points)),
+		};
+	}
+
+	return {
+		getPoints,
+		eyeAspectRatio,
+		mouthAspectRatio,
+		estimatePose,
+		eyeLineAngle,
+	};
+})();
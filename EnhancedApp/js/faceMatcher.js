@@ -0,0 +1,337 @@
+/**
+* faceMatcher.js
+* --------------
+* Matches a live face descriptor against registered users. Replaces
+* faceapi.FaceMatcher so verification and the on-canvas labels share one
+* decision:
+*
+*   const matcher = new UserFaceMatcher(users, { strategy: 'knn', threshold: 0.3 });
+*   const match = matcher.findBestMatch(descriptor);
+*   // match.label is the user id or 'unknown'; match.distance the score used
+*
+* `users` are the records stored in IndexedDB: `{ id, name, descriptors,
+* meanDescriptor }` (see DBMigrations.toUserRecord). Records without
+* `meanDescriptor`, such as older faceid JSON files, carry the mean as their
+* last descriptor.
+*
+* Strategies:
+*   • 'mean'    – distance to each user's mean descriptor (the original behaviour).
+*   • 'min'     – smallest distance to any of the user's individual captures.
+*   • 'knn'     – the k nearest captures over all users vote; the user holding the
+*                 majority of the k wins, scored by the mean distance of its votes.
+*   • 'trimmed' – mean distance to the user's captures after dropping the
+*                 farthest `trimRatio` of them, so a few bad captures do not count.
+*
+* Per-user thresholds: users enrolled with `calibration` stats (see
+* UserFaceMatcher.computeCalibration) get their own acceptance threshold when
+* `adaptiveThresholds` is on – the 95th percentile of their captures' distances
+* to their mean descriptor, capped halfway to the nearest other user and
+* clamped to [thresholdFloor, thresholdCeiling]. The ceiling defaults to the
+* global `threshold`, so calibration only ever makes matching stricter. Users
+* without these stats use the global `threshold`.
+*
+* Every match also reports `secondDistance`, the score of the runner-up user
+* (for 'knn' the nearest capture of any other user), and `margin` between the
+* two. MatchVotePolicy uses both to decide when a face counts as identified.
+*/
+const MATCHING_STRATEGIES = ['mean', 'min', 'knn', 'trimmed'];
+
+class UserFaceMatcher {
+	/**
+	* @param {Array<Object>} users - `{ id, name, descriptors, meanDescriptor }` records.
+	* @param {Object} [options]
+	* @param {string} [options.strategy='mean'] - One of MATCHING_STRATEGIES.
+	* @param {number} [options.threshold=0.3] - Maximum distance accepted as a match.
+	* @param {number} [options.k=5] - Neighbours considered by 'knn'.
+	* @param {number} [options.trimRatio=0.2] - Share of captures dropped by 'trimmed'.
+	* @param {boolean} [options.adaptiveThresholds=false] - Use per-user calibration.
+	* @param {number} [options.thresholdFloor=0.25] - Strictest per-user threshold.
+	* @param {number} [options.thresholdCeiling] - Most lenient per-user threshold; defaults to `threshold`.
+	*/
+	constructor(users, options = {}) {
+		this.strategy = options.strategy || 'mean';
+		if (!MATCHING_STRATEGIES.includes(this.strategy)) {
+			throw new Error(`Unknown matching strategy "${this.strategy}"`);
+		}
+		this.threshold = typeof options.threshold === 'number' ? options.threshold : 0.3;
+		this.k = Math.max(1, options.k || 5);
+		this.trimRatio = Math.min(Math.max(options.trimRatio || 0.2, 0), 0.9);
+		this.adaptiveThresholds = Boolean(options.adaptiveThresholds);
+		this.thresholdFloor = typeof options.thresholdFloor === 'number' ? options.thresholdFloor : 0.25;
+		this.thresholdCeiling = typeof options.thresholdCeiling === 'number' ? options.thresholdCeiling : this.threshold;
+		this.entries = (users || [])
+			.filter(user => user && Array.isArray(user.descriptors) && user.descriptors.length > 0)
+			.map(user => {
+				const descriptors = user.descriptors.map(d => d instanceof Float32Array ? d : new Float32Array(d));
+				if (user.meanDescriptor) {
+					return { user, mean: new Float32Array(user.meanDescriptor), captures: descriptors };
+				}
+				// Records without meanDescriptor keep the mean last; a single
+				// stored descriptor is both the only capture and the mean
+				return {
+					user,
+					mean: descriptors[descriptors.length - 1],
+					captures: descriptors.length > 1 ? descriptors.slice(0, -1) : descriptors,
+				};
+			});
+	}
+
+	static distance(a, b) {
+		let sum = 0;
+		for (let i = 0; i < a.length; i++) {
+			const diff = a[i] - b[i];
+			sum += diff * diff;
+		}
+		return Math.sqrt(sum);
+	}
+
+	/**
+	* Smallest distance between any descriptor of `a` and any of `b`, or null
+	* when either list is empty.
+	*/
+	static nearestDistance(a, b) {
+		let nearest = null;
+		a.forEach(x => {
+			b.forEach(y => {
+				const distance = UserFaceMatcher.distance(x, y);
+				if (nearest === null || distance < nearest) {
+					nearest = distance;
+				}
+			});
+		});
+		return nearest;
+	}
+
+	/**
+	* Enrollment statistics stored on the user record as `calibration`.
+	* `meanCenterDistance` and `p95CenterDistance` are the mean and 95th
+	* percentile of the captures' distances to their mean descriptor, the
+	* distance the default 'mean' strategy scores a probe by.
+	* @param {Array} captures - The user's individual descriptors (without the mean).
+	* @param {Array<Object>} [otherUsers] - Other `{ id, descriptors }` records.
+	* @returns {{meanIntraDistance: number, maxIntraDistance: number,
+	*   meanCenterDistance: number, p95CenterDistance: number,
+	*   nearestOtherUserDistance: number|null, captureCount: number}}
+	*/
+	static computeCalibration(captures, otherUsers = []) {
+		let total = 0;
+		let pairs = 0;
+		let maxIntraDistance = 0;
+		for (let i = 0; i < captures.length; i++) {
+			for (let j = i + 1; j < captures.length; j++) {
+				const distance = UserFaceMatcher.distance(captures[i], captures[j]);
+				total += distance;
+				pairs++;
+				maxIntraDistance = Math.max(maxIntraDistance, distance);
+			}
+		}
+		const centerDistances = [];
+		if (captures.length > 0) {
+			const mean = new Float32Array(captures[0].length);
+			captures.forEach(capture => {
+				for (let i = 0; i < mean.length; i++) mean[i] += capture[i] / captures.length;
+			});
+			captures.forEach(capture => centerDistances.push(UserFaceMatcher.distance(capture, mean)));
+			centerDistances.sort((a, b) => a - b);
+		}
+		let nearestOtherUserDistance = null;
+		otherUsers.forEach(other => {
+			const distance = UserFaceMatcher.nearestDistance(captures, other.descriptors || []);
+			if (distance !== null && (nearestOtherUserDistance === null || distance < nearestOtherUserDistance)) {
+				nearestOtherUserDistance = distance;
+			}
+		});
+		return {
+			meanIntraDistance: pairs ? total / pairs : 0,
+			maxIntraDistance,
+			meanCenterDistance: centerDistances.length ? centerDistances.reduce((sum, d) => sum + d, 0) / centerDistances.length : 0,
+			p95CenterDistance: centerDistances.length ? centerDistances[Math.ceil(centerDistances.length * 0.95) - 1] : 0,
+			nearestOtherUserDistance,
+			captureCount: captures.length,
+		};
+	}
+
+	get size() {
+		return this.entries.length;
+	}
+
+	/**
+	* Maximum accepted distance for one enrolled user.
+	* @param {Object} entry - Internal entry for the user.
+	*/
+	thresholdFor(entry) {
+		const calibration = entry.user.calibration;
+		// Calibrations from before p95CenterDistance measured pairwise spread, which is no probe distance
+		if (!this.adaptiveThresholds || !calibration || !calibration.p95CenterDistance) {
+			return this.threshold;
+		}
+		let threshold = calibration.p95CenterDistance;
+		if (typeof calibration.nearestOtherUserDistance === 'number') {
+			// Never reach past the midpoint towards the closest other person
+			threshold = Math.min(threshold, calibration.nearestOtherUserDistance / 2);
+		}
+		const floor = Math.min(this.thresholdFloor, this.thresholdCeiling);
+		return Math.min(Math.max(threshold, floor), this.thresholdCeiling);
+	}
+
+	/**
+	* @param {Float32Array|Array<number>} descriptor - 128-d descriptor from the worker.
+	* @returns {{label: string, distance: number, threshold: number|null, user: Object|null, strategy: string,
+	*   secondDistance: number|null, margin: number|null}}
+	*   `label` is the user id, or 'unknown' when no user is within their threshold.
+	*   `secondDistance` and `margin` are null with a single registered user.
+	*/
+	findBestMatch(descriptor) {
+		const unknown = { label: 'unknown', distance: Infinity, threshold: null, user: null, strategy: this.strategy, secondDistance: null, margin: null };
+		if (!descriptor || this.entries.length === 0) {
+			return unknown;
+		}
+		const best = this.strategy === 'knn'
+			? this.scoreByVote(descriptor)
+			: this.scoreByUser(descriptor);
+		if (!best) {
+			return unknown;
+		}
+		const threshold = this.thresholdFor(best.entry);
+		const secondDistance = best.secondDistance;
+		const margin = secondDistance === null ? null : secondDistance - best.distance;
+		if (best.distance > threshold) {
+			return { ...unknown, distance: best.distance, threshold, secondDistance, margin };
+		}
+		return { label: best.entry.user.id, distance: best.distance, threshold, user: best.entry.user, strategy: this.strategy, secondDistance, margin };
+	}
+
+	scoreByUser(descriptor) {
+		let best = null;
+		let secondDistance = null;
+		this.entries.forEach(entry => {
+			const distance = this.userDistance(descriptor, entry);
+			if (!best || distance < best.distance) {
+				if (best) secondDistance = best.distance;
+				best = { entry, distance };
+			} else if (secondDistance === null || distance < secondDistance) {
+				secondDistance = distance;
+			}
+		});
+		return best && { ...best, secondDistance };
+	}
+
+	userDistance(descriptor, entry) {
+		if (this.strategy === 'mean') {
+			return UserFaceMatcher.distance(descriptor, entry.mean);
+		}
+		const distances = entry.captures.map(capture => UserFaceMatcher.distance(descriptor, capture));
+		if (this.strategy === 'min') {
+			return Math.min(...distances);
+		}
+		// 'trimmed'
+		distances.sort((a, b) => a - b);
+		const keep = Math.max(1, Math.ceil(distances.length * (1 - this.trimRatio)));
+		const kept = distances.slice(0, keep);
+		return kept.reduce((sum, d) => sum + d, 0) / kept.length;
+	}
+
+	scoreByVote(descriptor) {
+		const neighbours = [];
+		this.entries.forEach(entry => {
+			entry.captures.forEach(capture => {
+				neighbours.push({ entry, distance: UserFaceMatcher.distance(descriptor, capture) });
+			});
+		});
+		neighbours.sort((a, b) => a.distance - b.distance);
+
+		const votes = new Map();
+		neighbours.slice(0, this.k).forEach(({ entry, distance }) => {
+			const vote = votes.get(entry) || { entry, count: 0, total: 0 };
+			vote.count++;
+			vote.total += distance;
+			votes.set(entry, vote);
+		});
+
+		let best = null;
+		votes.forEach(vote => {
+			const distance = vote.total / vote.count;
+			if (!best || vote.count > best.count || (vote.count === best.count && distance < best.distance)) {
+				best = { entry: vote.entry, count: vote.count, distance };
+			}
+		});
+		// Without a majority of the k neighbours the face is too ambiguous to name
+		const needed = Math.ceil(Math.min(this.k, neighbours.length) / 2);
+		if (!best || best.count < needed) {
+			return null;
+		}
+		const runnerUp = neighbours.find(n => n.entry !== best.entry);
+		return { ...best, secondDistance: runnerUp ? runnerUp.distance : null };
+	}
+}
+
+/**
+* Decides when a face counts as identified, from the matches of its recent
+* frames (oldest first, e.g. a FaceTracker track's history):
+*
+*   const policy = new MatchVotePolicy({ votesRequired: 3, windowSize: 5, minMargin: 0.05 });
+*   const decision = policy.decide(track.history);
+*   // decision.status: 'accepted' | 'identifying' | 'unknown'
+*
+* A frame votes for its label when it matched a user and beat the runner-up by
+* at least `minMargin`. A label is accepted once it holds `votesRequired` of
+* the last `windowSize` frames, so a single lucky frame of a look-alike is not
+* enough. With votesRequired 1 and minMargin 0 it behaves like one frame did.
+*/
+class MatchVotePolicy {
+	/**
+	* @param {Object} [options]
+	* @param {number} [options.votesRequired=3] - N: frames that must agree.
+	* @param {number} [options.windowSize=5] - M: recent frames considered.
+	* @param {number} [options.minMargin=0.05] - Distance the best user must lead the runner-up by.
+	*/
+	constructor(options = {}) {
+		this.windowSize = Math.max(1, options.windowSize || 5);
+		this.votesRequired = Math.min(Math.max(1, options.votesRequired || 3), this.windowSize);
+		this.minMargin = typeof options.minMargin === 'number' ? options.minMargin : 0.05;
+	}
+
+	/**
+	* @param {Array<Object>} matches - findBestMatch() results, oldest first.
+	* @returns {{status: string, label: string|null, match: Object|null, votes: number,
+	*   votesRequired: number, windowSize: number, frames: number, meanDistance: number|null,
+	*   minMargin: number|null}} `match` is the newest match of the leading label.
+	*/
+	decide(matches) {
+		const recent = (matches || []).slice(-this.windowSize);
+		const tallies = new Map();
+		recent.forEach(match => {
+			if (!match || match.label === 'unknown') return;
+			if (match.margin !== null && match.margin < this.minMargin) return;
+			const tally = tallies.get(match.label) || { label: match.label, votes: 0, total: 0, minMargin: null, match };
+			tally.votes++;
+			tally.total += match.distance;
+			if (match.margin !== null) {
+				tally.minMargin = tally.minMargin === null ? match.margin : Math.min(tally.minMargin, match.margin);
+			}
+			tally.match = match;
+			tallies.set(match.label, tally);
+		});
+
+		let leader = null;
+		tallies.forEach(tally => {
+			if (!leader || tally.votes > leader.votes || (tally.votes === leader.votes && tally.total < leader.total)) {
+				leader = tally;
+			}
+		});
+
+		const stats = { votesRequired: this.votesRequired, windowSize: this.windowSize, frames: recent.length };
+		if (!leader) {
+			return { status: 'unknown', label: null, match: null, votes: 0, meanDistance: null, minMargin: null, ...stats };
+		}
+		return {
+			status: leader.votes >= this.votesRequired ? 'accepted' : 'identifying',
+			label: leader.label,
+			match: leader.match,
+			votes: leader.votes,
+			meanDistance: leader.total / leader.votes,
+			minMargin: leader.minMargin,
+			...stats,
+		};
+	}
+}
@@ -0,0 +1,300 @@
+/**
+* faceQuality.js
+* --------------
+* Scores how usable a detection is as an enrollment capture:
+*
+*   const report = FaceQuality.assess(detection, { frameWidth, frameHeight, crop });
+*   report.passed;              // every check passed
+*   report.failed;              // name of the first failed check, or null
+*   report.checks.sharpness;    // { value, passed, score }
+*   FaceQuality.MESSAGES[report.failed]; // what to tell the user
+*
+* Checks, in the order they are reported:
+*   • detection – detector confidence.
+*   • size      – share of the frame covered by the face box.
+*   • sharpness – variance of the Laplacian of the face crop (low = blurred).
+*   • exposure  – mean brightness and contrast of the crop, and backlight
+*                 (border of the crop much brighter than its centre).
+*   • glare     – share of clipped pixels around the eyes, e.g. on glasses.
+*   • eyes      – eye aspect ratio (see FaceGeometry.eyeAspectRatio).
+*   • landmarks – plausibility of the 68 points. The landmark nets give no
+*                 per-point confidence, so this is the share of points inside
+*                 the face box combined with a sane eye distance; occluded faces
+*                 make both drift.
+*
+* Pixel checks run on `detection.thumbnail`, the crop cut by the worker; `crop`
+* must be the crop options it was cut with (face_detector_options_setup.crop).
+* Without a crop those checks are skipped and count as passed.
+*/
+var FaceQuality = (function () {
+	const ANALYSIS_SIZE = 96;
+	const DEFAULT_THRESHOLDS = {
+		minDetectionScore: 0.5,
+		minFaceArea: 0.05,       // share of the frame
+		minSharpness: 40,        // Laplacian variance on the 96×96 grey crop
+		minBrightness: 50,       // mean luminance, 0–255
+		maxBrightness: 210,
+		minContrast: 20,         // luminance standard deviation
+		maxBacklight: 60,        // border mean minus centre mean
+		maxGlare: 0.08,          // clipped share of the eye regions
+		minEyeOpenness: 0.2,
+		minLandmarkConfidence: 0.7,
+	};
+	const MESSAGES = {
+		detection: 'Face not clearly detected. Face the camera directly.',
+		size: 'Face too small. Move closer to the camera.',
+		sharpness: 'Image is blurry. Hold still and keep the camera steady.',
+		exposure: 'Poor lighting. Face a light source and avoid bright light behind you.',
+		glare: 'Glare on your glasses. Tilt them slightly or reduce the light in front of you.',
+		eyes: 'Please keep your eyes open.',
+		landmarks: 'Part of your face is covered. Remove anything in front of it.',
+	};
+
+	let analysisCanvas = null;
+	let sourceCanvas = null;
+
+	function clamp01(value) {
+		return Math.min(Math.max(value, 0), 1);
+	}
+
+	function check(value, passed, score) {
+		return { value, passed, score: clamp01(score) };
+	}
+
+	function getBox(detection) {
+		return (detection.alignedRect && (detection.alignedRect._box || detection.alignedRect.box))
+			|| (detection.detection && (detection.detection._box || detection.detection.box))
+			|| null;
+	}
+
+	function boxRect(box) {
+		return {
+			x: box._x !== undefined ? box._x : box.x,
+			y: box._y !== undefined ? box._y : box.y,
+			width: box._width !== undefined ? box._width : box.width,
+			height: box._height !== undefined ? box._height : box.height,
+		};
+	}
+
+	/**
+	* Grey levels of a crop (ImageBitmap or ImageData) at ANALYSIS_SIZE².
+	*/
+	function readLuminance(image) {
+		if (!analysisCanvas) {
+			analysisCanvas = document.createElement('canvas');
+			analysisCanvas.width = ANALYSIS_SIZE;
+			analysisCanvas.height = ANALYSIS_SIZE;
+		}
+		const ctx = analysisCanvas.getContext('2d', { willReadFrequently: true });
+		if (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) {
+			ctx.drawImage(image, 0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+		} else {
+			// ImageData cannot be scaled by putImageData, so go through a second canvas
+			if (!sourceCanvas) sourceCanvas = document.createElement('canvas');
+			sourceCanvas.width = image.width;
+			sourceCanvas.height = image.height;
+			sourceCanvas.getContext('2d').putImageData(image, 0, 0);
+			ctx.drawImage(sourceCanvas, 0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+		}
+		const { data } = ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+		const lum = new Float32Array(ANALYSIS_SIZE * ANALYSIS_SIZE);
+		for (let i = 0; i < lum.length; i++) {
+			lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+		}
+		return lum;
+	}
+
+	function meanAndStd(values) {
+		let sum = 0;
+		values.forEach(v => { sum += v; });
+		const mean = values.length ? sum / values.length : 0;
+		let variance = 0;
+		values.forEach(v => { variance += (v - mean) * (v - mean); });
+		return { mean, std: values.length ? Math.sqrt(variance / values.length) : 0 };
+	}
+
+	function laplacianVariance(lum) {
+		const n = ANALYSIS_SIZE;
+		const responses = [];
+		for (let row = 1; row < n - 1; row++) {
+			for (let col = 1; col < n - 1; col++) {
+				const i = row * n + col;
+				responses.push(lum[i - n] + lum[i + n] + lum[i - 1] + lum[i + 1] - 4 * lum[i]);
+			}
+		}
+		const { std } = meanAndStd(responses);
+		return std * std;
+	}
+
+	/**
+	* Mean luminance of the crop's centre (the face) and of a border ring (the
+	* background around it).
+	*/
+	function centreAndBorder(lum) {
+		const n = ANALYSIS_SIZE;
+		const ring = Math.round(n * 0.1);
+		const centre = [];
+		const border = [];
+		for (let row = 0; row < n; row++) {
+			for (let col = 0; col < n; col++) {
+				const value = lum[row * n + col];
+				if (row < ring || col < ring || row >= n - ring || col >= n - ring) {
+					border.push(value);
+				} else if (row > n * 0.3 && row < n * 0.7 && col > n * 0.3 && col < n * 0.7) {
+					centre.push(value);
+				}
+			}
+		}
+		return { centre: meanAndStd(centre).mean, border: meanAndStd(border).mean };
+	}
+
+	/**
+	* Maps frame points into the crop cut by extractFaceCrop(): the padded square
+	* around the face box, scaled to the crop size and optionally rotated so the
+	* eyes are level.
+	*/
+	function toCropPoints(points, box, crop) {
+		const side = Math.max(box.width, box.height) * (1 + 2 * (crop.padding || 0));
+		const centreX = box.x + box.width / 2;
+		const centreY = box.y + box.height / 2;
+		const angle = crop.alignEyes ? -FaceGeometry.eyeLineAngle(points) : 0;
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		const scale = ANALYSIS_SIZE / side;
+		return points.map(p => {
+			const dx = p.x - centreX;
+			const dy = p.y - centreY;
+			return {
+				x: ANALYSIS_SIZE / 2 + (dx * cos - dy * sin) * scale,
+				y: ANALYSIS_SIZE / 2 + (dx * sin + dy * cos) * scale,
+			};
+		});
+	}
+
+	function eyeGlare(lum, cropPoints) {
+		const n = ANALYSIS_SIZE;
+		let total = 0;
+		let clipped = 0;
+		[[36, 41], [42, 47]].forEach(([from, to]) => {
+			const eye = cropPoints.slice(from, to + 1);
+			const xs = eye.map(p => p.x);
+			const ys = eye.map(p => p.y);
+			// Widen the eye outline to the area a spectacle lens covers
+			const width = Math.max(...xs) - Math.min(...xs);
+			const left = Math.max(0, Math.floor(Math.min(...xs) - width * 0.3));
+			const right = Math.min(n - 1, Math.ceil(Math.max(...xs) + width * 0.3));
+			const top = Math.max(0, Math.floor(Math.min(...ys) - width * 0.4));
+			const bottom = Math.min(n - 1, Math.ceil(Math.max(...ys) + width * 0.4));
+			for (let row = top; row <= bottom; row++) {
+				for (let col = left; col <= right; col++) {
+					total++;
+					if (lum[row * n + col] > 245) clipped++;
+				}
+			}
+		});
+		return total ? clipped / total : 0;
+	}
+
+	function landmarkConfidence(points, box) {
+		const marginX = box.width * 0.1;
+		const marginY = box.height * 0.1;
+		const inside = points.filter(p =>
+			p.x >= box.x - marginX && p.x <= box.x + box.width + marginX &&
+			p.y >= box.y - marginY && p.y <= box.y + box.height + marginY
+		).length / points.length;
+		// Outer eye corners sit roughly 40–60% of the face width apart on a frontal face
+		const eyeRatio = Math.hypot(points[45].x - points[36].x, points[45].y - points[36].y) / box.width;
+		const spacing = eyeRatio < 0.25 ? eyeRatio / 0.25 : eyeRatio > 0.75 ? 0.75 / eyeRatio : 1;
+		return inside * spacing;
+	}
+
+	/**
+	* @param {Object} detection - A detection from DETECTION_RESULT.
+	* @param {Object} [options]
+	* @param {number} [options.frameWidth] - Video frame size, for the size check.
+	* @param {number} [options.frameHeight]
+	* @param {Object} [options.crop] - Crop options the thumbnail was cut with.
+	* @param {Object} [options.thresholds] - Overrides for DEFAULT_THRESHOLDS.
+	* @returns {{passed: boolean, failed: string|null, score: number, checks: Object}}
+	*/
+	function assess(detection, options = {}) {
+		const t = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+		const checks = {};
+		const rawBox = detection && getBox(detection);
+		if (!rawBox) {
+			checks.detection = check(0, false, 0);
+			return { passed: false, failed: 'detection', score: 0, checks };
+		}
+		const box = boxRect(rawBox);
+
+		const detectionScore = (detection.detection && (detection.detection._score || detection.detection.score)) || 0;
+		checks.detection = check(detectionScore, detectionScore >= t.minDetectionScore, detectionScore);
+
+		const frameArea = (options.frameWidth || 0) * (options.frameHeight || 0);
+		const area = frameArea ? (box.width * box.height) / frameArea : 1;
+		checks.size = check(area, area >= t.minFaceArea, area / (t.minFaceArea * 2));
+
+		const image = detection.thumbnail;
+		const points = FaceGeometry.getPoints(detection);
+		if (image && image.width && options.crop) {
+			const lum = readLuminance(image);
+			const sharpness = laplacianVariance(lum);
+			checks.sharpness = check(sharpness, sharpness >= t.minSharpness, sharpness / (t.minSharpness * 2));
+
+			const { mean, std } = meanAndStd(lum);
+			const { centre, border } = centreAndBorder(lum);
+			const backlight = border - centre;
+			const exposureOk = mean >= t.minBrightness && mean <= t.maxBrightness
+				&& std >= t.minContrast && backlight <= t.maxBacklight;
+			const brightnessScore = 1 - Math.abs(mean - 128) / 128;
+			checks.exposure = check(
+				{ brightness: mean, contrast: std, backlight },
+				exposureOk,
+				Math.min(brightnessScore * 1.5, std / (t.minContrast * 2), 1 - backlight / 255)
+			);
+
+			if (points) {
+				const glare = eyeGlare(lum, toCropPoints(points, box, options.crop));
+				checks.glare = check(glare, glare <= t.maxGlare, 1 - glare / (t.maxGlare * 2));
+			}
+		}
+
+		if (points) {
+			const ear = FaceGeometry.eyeAspectRatio(points);
+			checks.eyes = check(ear, ear >= t.minEyeOpenness, ear / 0.3);
+			const confidence = landmarkConfidence(points, box);
+			checks.landmarks = check(confidence, confidence >= t.minLandmarkConfidence, confidence);
+		} else {
+			checks.landmarks = check(0, false, 0);
+		}
+
+		const names = Object.keys(checks);
+		const failed = names.find(name => !checks[name].passed) || null;
+		const score = names.reduce((sum, name) => sum + checks[name].score, 0) / names.length;
+		return { passed: !failed, failed, score, checks };
+	}
+
+	/**
+	* Compact form of a report for storage with a capture.
+	*/
+	function summarize(report) {
+		const round = value => Math.round(value * 1000) / 1000;
+		const summary = { score: round(report.score) };
+		Object.keys(report.checks).forEach(name => {
+			const value = report.checks[name].value;
+			if (value && typeof value === 'object') {
+				Object.keys(value).forEach(key => { summary[key] = round(value[key]); });
+			} else {
+				summary[name] = round(value);
+			}
+		});
+		return summary;
+	}
+
+	return {
+		DEFAULT_THRESHOLDS,
+		MESSAGES,
+		assess,
+		summarize,
+	};
+})();
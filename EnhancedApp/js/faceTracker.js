@@ -0,0 +1,202 @@
+/**
+* faceTracker.js
+* --------------
+* Follows faces across DETECTION_RESULT frames so each keeps one track ID:
+*
+*   const tracker = new FaceTracker();
+*   tracker.update(detections);           // sets detection.trackId / .track
+*   tracker.recordMatch(track, match);    // smoothed identity in track.match
+*   tracker.getSkipDescriptorBoxes();     // faces the worker need not re-describe
+*
+* Association is greedy: a detection continues the track whose last box it
+* overlaps most (IoU ≥ iouThreshold). Faces that jumped too far for any overlap
+* fall back to descriptor distance to the track's last descriptor. Detections
+* left over start new tracks; tracks unseen for maxMissedFrames are dropped.
+*
+* Match smoothing: each track keeps the matcher results of its last
+* `historySize` frames in `track.history` and votes over the newest
+* `smoothingWindow` of them. Its identity changes only when another label holds
+* at least `confirmVotes` of them, so one off frame no longer flips the label.
+* Until any label has that many votes the latest match is used as is.
+*
+* A track is confirmed once it has a known identity. Confirmed tracks are
+* listed by getSkipDescriptorBoxes() so the worker can skip their descriptors,
+* except every `refreshEvery` frames, when the descriptor is recomputed to
+* catch two people swapping places.
+*/
+const DEFAULT_TRACKER_OPTIONS = {
+	iouThreshold: 0.3,          // min box overlap to continue a track
+	maxDescriptorDistance: 0.5, // descriptor fallback when the boxes do not overlap
+	maxMissedFrames: 10,        // frames a track survives without a detection
+	smoothingWindow: 7,         // recent matches the identity is voted over
+	historySize: 15,            // matches kept in track.history (e.g. for MatchVotePolicy)
+	confirmVotes: 4,            // matches a label needs in the window to become the identity
+	refreshEvery: 15,           // frames between descriptor refreshes of a confirmed track
+};
+
+class FaceTracker {
+	/**
+	* @param {Object} [options] - Overrides for DEFAULT_TRACKER_OPTIONS.
+	*/
+	constructor(options = {}) {
+		this.options = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+		this.tracks = [];
+		this.nextId = 1;
+	}
+
+	/**
+	* `{ x, y, width, height }` of a detection's raw detector box, the box the
+	* worker compares skipDescriptorBoxes with.
+	*/
+	static boxOf(detection) {
+		const box = detection.detection && (detection.detection._box || detection.detection.box);
+		if (!box) return null;
+		return {
+			x: box._x !== undefined ? box._x : box.x,
+			y: box._y !== undefined ? box._y : box.y,
+			width: box._width !== undefined ? box._width : box.width,
+			height: box._height !== undefined ? box._height : box.height,
+		};
+	}
+
+	static iou(a, b) {
+		const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+		const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+		if (width <= 0 || height <= 0) return 0;
+		const intersection = width * height;
+		return intersection / (a.width * a.height + b.width * b.height - intersection);
+	}
+
+	/**
+	* Assigns every detection of one frame to a track.
+	* @param {Array<Object>} detections - Detections from DETECTION_RESULT.
+	* @returns {Array<Object>} The same detections with `trackId` and `track` set.
+	*/
+	update(detections) {
+		const o = this.options;
+		const candidates = [];
+		this.tracks.forEach(track => {
+			detections.forEach((detection, index) => {
+				const box = FaceTracker.boxOf(detection);
+				if (!box) return;
+				const overlap = FaceTracker.iou(track.box, box);
+				if (overlap >= o.iouThreshold) {
+					candidates.push({ track, index, cost: 1 - overlap });
+				} else if (detection.descriptor && track.descriptor) {
+					const distance = UserFaceMatcher.distance(detection.descriptor, track.descriptor);
+					if (distance <= o.maxDescriptorDistance) {
+						// Ranked after every overlap pair
+						candidates.push({ track, index, cost: 1 + distance });
+					}
+				}
+			});
+		});
+		candidates.sort((a, b) => a.cost - b.cost);
+
+		const assigned = new Map();
+		const usedTracks = new Set();
+		candidates.forEach(({ track, index }) => {
+			if (assigned.has(index) || usedTracks.has(track)) return;
+			assigned.set(index, track);
+			usedTracks.add(track);
+		});
+
+		detections.forEach((detection, index) => {
+			const box = FaceTracker.boxOf(detection);
+			if (!box) return;
+			let track = assigned.get(index);
+			if (!track) {
+				track = this.createTrack(box);
+				usedTracks.add(track);
+			}
+			this.observe(track, detection, box);
+			detection.trackId = track.id;
+			detection.track = track;
+		});
+
+		this.tracks = this.tracks.filter(track => {
+			if (!usedTracks.has(track)) track.missed++;
+			return track.missed <= o.maxMissedFrames;
+		});
+		return detections;
+	}
+
+	createTrack(box) {
+		const track = {
+			id: this.nextId++,
+			box,
+			descriptor: null,
+			framesSinceDescriptor: 0,
+			history: [],
+			match: null,
+			settled: false,             // match was reached by confirmVotes, not a single frame
+			confirmed: false,
+			missed: 0,
+			age: 0,
+		};
+		this.tracks.push(track);
+		return track;
+	}
+
+	observe(track, detection, box) {
+		track.box = box;
+		track.missed = 0;
+		track.age++;
+		if (detection.descriptor) {
+			track.descriptor = detection.descriptor;
+			track.framesSinceDescriptor = 0;
+		} else {
+			track.framesSinceDescriptor++;
+		}
+	}
+
+	/**
+	* Adds one frame's matcher result to a track and returns its smoothed match.
+	* @param {Object} track
+	* @param {Object|null} match - UserFaceMatcher result; null when the frame had no descriptor.
+	* @returns {Object|null} The track's identity (a match), or null while unknown.
+	*/
+	recordMatch(track, match) {
+		if (!match) {
+			return track.match;
+		}
+		track.history.push(match);
+		if (track.history.length > Math.max(this.options.historySize, this.options.smoothingWindow)) {
+			track.history.shift();
+		}
+
+		const recent = track.history.slice(-this.options.smoothingWindow);
+		const votes = new Map();
+		recent.forEach(m => votes.set(m.label, (votes.get(m.label) || 0) + 1));
+		let leader = null;
+		votes.forEach((count, label) => {
+			if (!leader || count > leader.count) leader = { label, count };
+		});
+
+		if (leader.count >= this.options.confirmVotes) {
+			// Newest match of the winning label, so distance and threshold stay current
+			track.match = recent.filter(m => m.label === leader.label).pop();
+			track.settled = true;
+		} else if (!track.settled) {
+			track.match = match;
+		}
+		track.confirmed = track.settled && Boolean(track.match.user);
+		return track.match;
+	}
+
+	/**
+	* Boxes of confirmed tracks seen in the last frame whose descriptor is not
+	* due for a refresh, for face_detector_options.skipDescriptorBoxes.
+	* @param {Function} [filter] - Further narrows the tracks, e.g. to decided ones.
+	*/
+	getSkipDescriptorBoxes(filter = () => true) {
+		return this.tracks
+			.filter(track => track.confirmed && track.missed === 0 && track.framesSinceDescriptor < this.options.refreshEvery - 1)
+			.filter(filter)
+			.map(track => ({ ...track.box }));
+	}
+
+	reset() {
+		this.tracks = [];
+	}
+}
@@ -3,8 +3,8 @@
 * ------------------
 * Helper utilities that sit on top of face-api.js + a Service Worker.
 * The script is responsible for:
-*   • Boot-strapping the Service Worker that loads the neural-network models in a
-*     separate thread (avoids blocking the main UI).
+*   • Starting the models and warmup through FaceEngine (faceEngine.js), which
+*     runs inference in a Service Worker or Web Worker so the UI never blocks.
 *   • Handling camera start / stop, reading frames and forwarding them to the
 *     worker for inference.
 *   • Drawing helper overlays: raw frame, bounding box, facial landmarks, etc.
@@ -18,7 +18,14 @@
 * The registration UI shows a progress panel containing thumbnail previews of
 * each captured frame.  Users can tap these thumbnails to view them in a modal
 * while the underlying video feed is paused.  Progress is persisted in
-* IndexedDB so a partially completed registration survives a page reload.
+* IndexedDB so a partially completed registration survives a page reload,
+* except while template encryption is on.
+*
+* The camera pages load every module in js/. Pages that only work on UserDB
+* (attendance.html, verification_history.html, profile_management.html) load
+* just js/dbMigrations.js and whatever their own code calls, so everything
+* below that needs face-api.js, the worker or the camera modules only runs
+* from camera-page code paths.
 */
 
 // ---------------------------------------------------------------------------
@@ -61,33 +68,104 @@ var resolveFaceApiReady;
 faceApiReadyPromise = new Promise(resolve => {
     resolveFaceApiReady = resolve;
 });
-var worker = "";
-var serviceWorkerFileName = "faceDetectionServiceWorker.js";
-var serviceWorkerFilePath = "./js/faceDetectionServiceWorker.js";
 var imgFaceFilePathForWarmup = "./models/face_for_loading.png";
 
 if(typeof face_detector_options_setup === "undefined" || face_detector_options_setup === "undefined"){
 	var face_detector_options_setup = {
+		detector: 'tiny', // 'tiny' | 'ssd' | 'mtcnn', see setFaceDetector()
+		landmarkModel: 'full', // 'full' | 'tiny'; low-end devices get 'tiny' automatically
+		// Per-face crop returned as detection.thumbnail
+		crop: { padding: 0.25, size: 0, alignEyes: false },
 		inputSize: 128,
 		scoreThreshold: 0.1,
 		maxDetectedFaces: 1,
 	};
 }
 
-var isDetectingFrame = false;          // Prevent overlapping detection requests
+if(typeof face_matcher_options_setup === "undefined"){
+	var face_matcher_options_setup = {
+		strategy: 'mean', // 'mean' | 'min' | 'knn' | 'trimmed', see js/faceMatcher.js
+		k: 5,             // neighbours voting in 'knn'
+		trimRatio: 0.2,   // share of farthest captures ignored by 'trimmed'
+		adaptiveThresholds: true, // per-user thresholds from enrollment calibration
+		thresholdFloor: 0.25,     // bounds for per-user thresholds;
+		thresholdCeiling: null,   // null = vle_distance_rate
+	};
+}
+
+if(typeof verification_policy_setup === "undefined"){
+	var verification_policy_setup = {
+		votesRequired: 3, // N: frames of a face that must match the same user…
+		windowSize: 5,    // …out of its last M frames (see MatchVotePolicy)
+		minMargin: 0.05,  // distance the best user must lead the runner-up by
+	};
+}
+
+// Claimed-identity (1:1) verification, see startClaimVerification()
+if(typeof claim_verification_setup === "undefined"){
+	var claim_verification_setup = {
+		threshold: 0.25,  // strictest distance accepted for the claimed user
+		timeoutMs: 10000, // reject when the claim is not accepted within this time
+	};
+}
+
+// Attendance mode, see faceapi_check_in()
+if(typeof attendance_setup === "undefined"){
+	var attendance_setup = {
+		cooldownMs: 5 * 60 * 1000, // a person is logged again only after this long
+		saveImages: true,          // store the face snapshot with each check-in
+	};
+}
+
+// Signing and checking of descriptor bundles (js/descriptorBundle.js)
+if(typeof descriptor_bundle_setup === "undefined"){
+	var descriptor_bundle_setup = {
+		hmacSecret: '',          // shared secret: signs exports with HMAC-SHA256 and checks imports
+		ecdsaPrivateKey: null,   // P-256 private JWK: signs exports with ECDSA instead
+		trustedPublicKeys: [],   // P-256 public JWKs whose ECDSA signatures are checked
+		requireSignature: false, // reject unsigned bundles, bare arrays and unknown keys
+	};
+}
+
+// Verification history (UserDB `verifications`), see recordVerificationEvent()
+if(typeof verification_history_setup === "undefined"){
+	var verification_history_setup = {
+		enabled: true,    // store each search and claim verification
+		saveImages: true, // store the face snapshot with each event
+	};
+}
+
+// Duplicate check of profile_management.html, see findDuplicateUsers()
+if(typeof duplicate_scan_setup === "undefined"){
+	var duplicate_scan_setup = {
+		threshold: 0.3,   // default pair distance reported, as duplicateThreshold
+		workerPath: './js/duplicateScanWorker.js',
+	};
+}
+
 var videoDetectionStep = null;         // Reference to the next frame callback
 
 // Add user registration support
 var currentUserId = '';
 var currentUserName = '';
 var currentUserDescriptors = [];
+var currentUserPoses = [];             // pose bucket of each capture, aligned with currentUserDescriptors
+var currentUserQualities = [];         // FaceQuality.summarize() of each capture, same order
 var registeredUsers = [];
 var flatRegisteredDescriptors = [];
-var flatRegisteredUserMeta = [];
 var lastLoadedVerificationJson = '';
 var verificationResults = [];
-var healthCheckResolver = null;
-var faceMatcher = null;
+var faceMatcher = null;                // UserFaceMatcher over registeredUsers (js/faceMatcher.js)
+var verificationPolicy = null;         // MatchVotePolicy deciding when a tracked face is identified
+// "search" compares every face with all registered users (1:N); "claim" checks
+// one claimed ID only (1:1); "attendance" logs check-ins and never completes.
+// face_verify.html?mode=claim&id=… or ?mode=attendance select the others.
+var vle_verify_mode = "search";
+var lastCheckInAt = new Map();         // user id -> epoch ms of their last logged check-in
+var attendanceCheckInCount = 0;        // check-ins logged since the page loaded
+var claimSession = null;               // state of the running 1:1 check
+var claimVerificationResult = null;    // record of the last 1:1 check
+var reenrollSession = null;            // { user, mode } while face_register.html re-enrolls a profile
 // Flag to allow multiple face detection ("y" = allow multiple, else single)
 var multiple_face_detection_yn = "y";
 
@@ -98,18 +176,14 @@ var multiple_face_detection_yn = "y";
 // refresh the page or come back later without losing their partially completed
 // registration.  The helpers below handle saving/loading that state.
 
+// Schema and upgrades: js/dbMigrations.js
 async function openProgressDB() {
-	return new Promise((resolve, reject) => {
-		const request = indexedDB.open('FaceRegProgressDB', 1);
-		request.onupgradeneeded = e => {
-			const db = e.target.result;
-			if (!db.objectStoreNames.contains('progress')) {
-				db.createObjectStore('progress', { keyPath: 'id' });
-			}
-		};
-		request.onsuccess = e => resolve(e.target.result);
-		request.onerror = e => reject(e.target.error);
-	});
+	try {
+		return await DBMigrations.open('FaceRegProgressDB');
+	} catch (error) {
+		reportDBMigrationFailure(error);
+		throw error;
+	}
 }
 
 function saveProgress() {
@@ -117,16 +191,34 @@ function saveProgress() {
 		id: currentUserId,
 		name: currentUserName,
 		descriptors: currentUserDescriptors.map(d => Array.from(d)),
+		poses: currentUserPoses,
+		qualities: currentUserQualities,
 		frames: capturedFrames
 	};
-	openProgressDB().then(db => {
-		const tx = db.transaction('progress', 'readwrite');
-		tx.objectStore('progress').put({ id: 'current', data });
+	getTemplateEncryption().then(encryption => {
+		// Progress holds raw descriptors and face crops, so with template
+		// encryption on it is not kept at all
+		if (encryption) {
+			clearProgress();
+			return;
+		}
+		return openProgressDB().then(db => {
+			const tx = db.transaction('progress', 'readwrite');
+			tx.objectStore('progress').put({ id: 'current', data });
+		});
 	}).catch(e => log.warn('Failed to save progress', e));
 }
 
 function loadProgress() {
-	openProgressDB().then(db => {
+	getTemplateEncryption().then(encryption => {
+		// Left over from before encryption was enabled
+		if (encryption) {
+			clearProgress();
+			return null;
+		}
+		return openProgressDB();
+	}).then(db => {
+		if (!db) return;
 		const tx = db.transaction('progress', 'readonly');
 		const req = tx.objectStore('progress').get('current');
 		req.onsuccess = () => {
@@ -136,6 +228,9 @@ function loadProgress() {
 			currentUserId = data.id || '';
 			currentUserName = data.name || '';
 			currentUserDescriptors = data.descriptors.map(arr => new Float32Array(arr));
+			// FaceRegProgressDB v2 backfills both, but an older tab may still write progress without them
+			currentUserPoses = Array.isArray(data.poses) ? data.poses : data.descriptors.map(() => null);
+			currentUserQualities = Array.isArray(data.qualities) ? data.qualities : data.descriptors.map(() => null);
 			capturedFrames = Array.isArray(data.frames) ? data.frames : [];
 			const idInput = document.getElementById('userIdInput');
 			const nameInput = document.getElementById('userNameInput');
@@ -157,43 +252,73 @@ function clearProgress() {
 // ---------------------------------------------------------------------------
 // Persisting user profiles to IndexedDB
 // ---------------------------------------------------------------------------
+// Stores: `users` (profiles, keyed by id), `attendance` and `verifications`
+// (events, auto-increment id, indexed by `timestamp` and `userId`). Schema
+// versions and upgrades: js/dbMigrations.js
 let db;
+let dbMigrationFailureReported = false;
+
+/**
+* Tells the user that a database upgrade failed; the data is untouched and
+* still at its old version. Shown once per page.
+*/
+function reportDBMigrationFailure(error) {
+    if (!(error instanceof DBMigrationError) || dbMigrationFailureReported) return;
+    dbMigrationFailureReported = true;
+    log.error(error.message, error.cause);
+    const message = `Your saved face data could not be upgraded (${error.dbName}, step ${error.version}). ` +
+        'It has not been changed. Please reload the page or contact support.';
+    if (document.getElementById('registrationMessage')) {
+        showMessage('error', message);
+    } else {
+        alert(message);
+    }
+}
 
 async function initDB() {
-    return new Promise((resolve, reject) => {
-        if (db) {
-            return resolve(db);
-        }
-        const request = indexedDB.open('UserDB', 1);
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains('users')) {
-                db.createObjectStore('users', { keyPath: 'id' });
-            }
-        };
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            resolve(db);
-        };
-        request.onerror = (event) => {
-            log.error('Database error:', event.target.error);
-            reject(event.target.error);
-        };
-    });
+    if (db) {
+        return db;
+    }
+    try {
+        db = await DBMigrations.open('UserDB', {
+            onblocked: () => log.warn('UserDB upgrade is waiting for another open tab of this app to close.'),
+        });
+    } catch (error) {
+        log.error('Database error:', error);
+        reportDBMigrationFailure(error);
+        throw error;
+    }
+    // Let a newer version in another tab upgrade instead of blocking it
+    db.onversionchange = () => {
+        db.close();
+        db = null;
+    };
+    return db;
 }
 
+/**
+* Saves a profile; its templates are encrypted first when template encryption
+* is on (asking for the passphrase if needed).
+*/
 async function saveUser(user) {
+    const unlocked = await requireTemplateKey();
+    const stamped = { ...user, updatedAt: new Date().toISOString() };
+    const record = unlocked ? await encryptUserRecord(stamped, unlocked.key, unlocked.settings.keyId) : stamped;
     const db = await initDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['users'], 'readwrite');
         const store = transaction.objectStore('users');
-        const request = store.put(user);
+        const request = store.put(record);
         request.onsuccess = () => resolve();
         request.onerror = (event) => reject('Error saving user: ' + event.target.error);
     });
 }
 
-async function getAllUsers() {
+/**
+* Profiles as stored, without unlocking: the templates of encrypted records
+* stay in `encryptedTemplate`. Enough for listing IDs and names.
+*/
+async function getUserProfiles() {
     const db = await initDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['users'], 'readonly');
@@ -204,20 +329,475 @@ async function getAllUsers() {
     });
 }
 
+/**
+* Profiles with their templates. With template encryption on this waits for
+* the unlock screen, and encrypts records still stored in plain form.
+*/
+async function getAllUsers() {
+    const users = await getUserProfiles();
+    if (users.length === 0) return users;
+    const unlocked = await requireTemplateKey();
+    if (!unlocked) return users;
+    const plain = users.filter(user => !user.encryptedTemplate);
+    if (plain.length > 0) {
+        const encrypted = await Promise.all(plain.map(user => encryptUserRecord(user, unlocked.key, unlocked.settings.keyId)));
+        await writeUsersAndSettings(encrypted);
+        log.info(`Encrypted the templates of ${plain.length} stored profiles.`);
+    }
+    return Promise.all(users.map(user => decryptUserRecord(user, unlocked.key)));
+}
+
+// ---------------------------------------------------------------------------
+// Encrypting face templates at rest (js/templateCrypto.js)
+// ---------------------------------------------------------------------------
+// Optional, switched on in profile_management.html. While on, the
+// TEMPLATE_FIELDS of each `users` record are stored as one AES-GCM blob in
+// `encryptedTemplate: { keyId, iv, data }`; ID, name and the enrollment
+// statistics stay readable. The profile thumbnail and the previous template
+// kept for rollback are encrypted with the templates. The key is derived from
+// the admin passphrase and kept in memory only, so each page load asks for the
+// passphrase the first time templates are read or written. `settings` holds
+// the key parameters and a check value that tells a wrong passphrase apart.
+const TEMPLATE_FIELDS = ['descriptors', 'meanDescriptor', 'thumbnail', 'previousTemplate'];
+const TEMPLATE_ENCRYPTION_SETTING = 'templateEncryption';
+const TEMPLATE_KEY_CHECK = 'face-templates';
+let templateKey = null;                // CryptoKey once unlocked
+let templateUnlockPromise = null;      // open unlock screen, shared by concurrent callers
+
+async function getTemplateEncryption() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['settings'], 'readonly');
+        const request = transaction.objectStore('settings').get(TEMPLATE_ENCRYPTION_SETTING);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = (event) => reject('Error reading settings: ' + event.target.error);
+    });
+}
+
+/**
+* Puts user records and, when given, changes the encryption setting in one
+* transaction, so templates and their key parameters never disagree.
+* @param {Array<Object>} users
+* @param {Object|null} [settings] - New setting; null deletes it, undefined leaves it.
+*/
+async function writeUsersAndSettings(users, settings) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['users', 'settings'], 'readwrite');
+        const store = transaction.objectStore('users');
+        users.forEach(user => store.put(user));
+        if (settings) {
+            transaction.objectStore('settings').put(settings);
+        } else if (settings === null) {
+            transaction.objectStore('settings').delete(TEMPLATE_ENCRYPTION_SETTING);
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error saving users: ' + event.target.error);
+    });
+}
+
+async function encryptUserRecord(user, key, keyId) {
+    if (user.encryptedTemplate) return user;
+    const record = { ...user };
+    const template = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        template[field] = user[field];
+        delete record[field];
+    });
+    const box = await TemplateCrypto.encryptJson(key, template, String(user.id));
+    return { ...record, encryptedTemplate: { keyId, ...box } };
+}
+
+async function decryptUserRecord(user, key) {
+    if (!user.encryptedTemplate) return user;
+    const { encryptedTemplate, ...record } = user;
+    const template = await TemplateCrypto.decryptJson(key, encryptedTemplate, String(user.id));
+    return { ...record, ...template };
+}
+
+async function createTemplateKey(passphrase) {
+    const params = TemplateCrypto.createKeyParams();
+    const keyId = TemplateCrypto.randomId();
+    const key = await TemplateCrypto.deriveKey(passphrase, params);
+    const check = await TemplateCrypto.encryptJson(key, TEMPLATE_KEY_CHECK, keyId);
+    return {
+        key,
+        settings: { key: TEMPLATE_ENCRYPTION_SETTING, keyId, ...params, check, createdAt: new Date().toISOString() },
+    };
+}
+
+/**
+* Derives the key from `passphrase` and keeps it for this page when it is the
+* right one.
+* @returns {Promise<boolean>} False for a wrong passphrase.
+*/
+async function unlockTemplates(passphrase) {
+    const settings = await getTemplateEncryption();
+    if (!settings) return true;
+    const key = await TemplateCrypto.deriveKey(passphrase, settings);
+    try {
+        await TemplateCrypto.decryptJson(key, settings.check, settings.keyId);
+    } catch (err) {
+        return false;
+    }
+    templateKey = key;
+    return true;
+}
+
+/**
+* The template key and its setting, showing the unlock screen first when
+* needed; null while template encryption is off.
+*/
+async function requireTemplateKey() {
+    const settings = await getTemplateEncryption();
+    if (!settings) return null;
+    if (!templateKey) {
+        if (!templateUnlockPromise) {
+            templateUnlockPromise = showUnlockScreen({ unlock: unlockTemplates }).finally(() => {
+                templateUnlockPromise = null;
+            });
+        }
+        await templateUnlockPromise;
+    }
+    return { key: templateKey, settings };
+}
+
+/**
+* Modal passphrase prompt. Resolves once `unlock(passphrase)` returns true;
+* rejects when cancelled.
+*/
+function showUnlockScreen({ unlock, message = 'The face templates on this device are encrypted. Enter the admin passphrase to unlock them.' }) {
+    return new Promise((resolve, reject) => {
+        const overlay = document.createElement('div');
+        overlay.id = 'templateUnlockOverlay';
+        overlay.style.cssText = 'position:fixed; inset:0; z-index:10000; display:flex; align-items:center; justify-content:center; background:rgba(0,0,0,0.7); font-family:sans-serif;';
+        overlay.innerHTML = `
+            <form style="background:#fff; padding:20px; border-radius:8px; max-width:320px; text-align:center;">
+                <p class="unlock-message"></p>
+                <input type="password" autocomplete="current-password" placeholder="Passphrase" style="width:100%; padding:8px; box-sizing:border-box;">
+                <p class="unlock-error" style="color:red; min-height:1.2em;"></p>
+                <button type="submit">Unlock</button>
+                <button type="button" class="unlock-cancel">Cancel</button>
+            </form>`;
+        overlay.querySelector('.unlock-message').textContent = message;
+        const form = overlay.querySelector('form');
+        const input = overlay.querySelector('input');
+        const error = overlay.querySelector('.unlock-error');
+        const submit = overlay.querySelector('button[type="submit"]');
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            submit.disabled = true;
+            error.textContent = '';
+            try {
+                if (await unlock(input.value)) {
+                    overlay.remove();
+                    resolve();
+                    return;
+                }
+                error.textContent = 'Wrong passphrase.';
+                input.select();
+            } catch (err) {
+                log.error('Unlocking the face templates failed.', err);
+                error.textContent = 'Could not unlock the face templates.';
+            }
+            submit.disabled = false;
+        });
+        overlay.querySelector('.unlock-cancel').addEventListener('click', () => {
+            overlay.remove();
+            reject(new Error('The face templates are locked.'));
+        });
+        document.body.appendChild(overlay);
+        input.focus();
+    });
+}
+
+/**
+* Reports profiles that could not be loaded, e.g. after Cancel on the unlock
+* screen, and offers a button that opens it again and retries `retry()`.
+*/
+async function showTemplateLoadError(error, retry) {
+    log.error('Failed to load the face templates.', error);
+    const message = (error && error.message) || String(error);
+    showMessage('error', message);
+    let locked = false;
+    try {
+        locked = !templateKey && !!(await getTemplateEncryption());
+    } catch (err) {
+        // The button below retries the whole load anyway
+    }
+    const previous = document.getElementById('templateLoadError');
+    if (previous) previous.remove();
+    const notice = document.createElement('div');
+    notice.id = 'templateLoadError';
+    notice.style.cssText = 'position:fixed; top:10px; left:50%; transform:translateX(-50%); z-index:10000; display:flex; gap:10px; align-items:center; padding:10px 16px; border-radius:4px; background:#fff; color:red; box-shadow:0 2px 8px rgba(0,0,0,0.3); font-family:sans-serif;';
+    const text = document.createElement('span');
+    text.textContent = message;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = locked ? 'Unlock' : 'Try Again';
+    button.addEventListener('click', () => {
+        notice.remove();
+        retry();
+    });
+    notice.append(text, button);
+    document.body.appendChild(notice);
+}
+
+/**
+* Turns template encryption on and encrypts every stored profile.
+*/
+async function enableTemplateEncryption(passphrase) {
+    if (await getTemplateEncryption()) {
+        throw new Error('Template encryption is already enabled.');
+    }
+    const { key, settings } = await createTemplateKey(passphrase);
+    const users = await getUserProfiles();
+    const encrypted = await Promise.all(users.map(user => encryptUserRecord(user, key, settings.keyId)));
+    await writeUsersAndSettings(encrypted, settings);
+    templateKey = key;
+    clearProgress();
+    log.info(`Template encryption enabled for ${users.length} profiles.`);
+}
+
+/**
+* Key rotation: re-encrypts every profile under a key from `newPassphrase`.
+*/
+async function rotateTemplateKey(currentPassphrase, newPassphrase) {
+    if (!(await getTemplateEncryption())) {
+        throw new Error('Template encryption is not enabled.');
+    }
+    if (!(await unlockTemplates(currentPassphrase))) {
+        throw new Error('The current passphrase is wrong.');
+    }
+    const oldKey = templateKey;
+    const { key, settings } = await createTemplateKey(newPassphrase);
+    const users = await getUserProfiles();
+    const encrypted = await Promise.all(users.map(async user =>
+        encryptUserRecord(await decryptUserRecord(user, oldKey), key, settings.keyId)));
+    await writeUsersAndSettings(encrypted, settings);
+    templateKey = key;
+    log.info(`Template key rotated for ${users.length} profiles.`);
+}
+
+/**
+* Turns template encryption off and stores every profile in plain form again.
+*/
+async function disableTemplateEncryption(passphrase) {
+    if (!(await getTemplateEncryption())) return;
+    if (!(await unlockTemplates(passphrase))) {
+        throw new Error('The passphrase is wrong.');
+    }
+    const users = await getUserProfiles();
+    const plain = await Promise.all(users.map(user => decryptUserRecord(user, templateKey)));
+    await writeUsersAndSettings(plain, null);
+    templateKey = null;
+    log.info('Template encryption disabled.');
+}
+
+// ---------------------------------------------------------------------------
+// Backup and restore of the whole UserDB (js/userDBBackup.js)
+// ---------------------------------------------------------------------------
+
+/**
+* Every record of the backed-up stores as stored, plus the template encryption
+* setting, read in one transaction.
+*/
+async function readUserDBSnapshot() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([...UserDBBackup.STORES, 'settings'], 'readonly');
+        const snapshot = { dbVersion: db.version, settings: {} };
+        UserDBBackup.STORES.forEach(name => {
+            const request = transaction.objectStore(name).getAll();
+            request.onsuccess = () => {
+                snapshot[name] = request.result;
+            };
+        });
+        const setting = transaction.objectStore('settings').get(TEMPLATE_ENCRYPTION_SETTING);
+        setting.onsuccess = () => {
+            if (setting.result) snapshot.settings[TEMPLATE_ENCRYPTION_SETTING] = setting.result;
+        };
+        transaction.oncomplete = () => resolve(snapshot);
+        transaction.onerror = (event) => reject('Error reading the database: ' + event.target.error);
+    });
+}
+
+/**
+* The backup's users with plain templates. Templates encrypted under this
+* device's key are unlocked as usual; those under another key ask for the
+* passphrase of the device the backup came from.
+*/
+async function decryptBackupUsers(backup) {
+    const users = backup.stores.users;
+    const keyIds = new Set(users.filter(user => user.encryptedTemplate).map(user => user.encryptedTemplate.keyId));
+    if (keyIds.size === 0) return users;
+    const keys = new Map();
+    const local = await getTemplateEncryption();
+    if (local && keyIds.has(local.keyId)) {
+        keys.set(local.keyId, (await requireTemplateKey()).key);
+    }
+    const backupSetting = backup.settings && backup.settings[TEMPLATE_ENCRYPTION_SETTING];
+    if (backupSetting && keyIds.has(backupSetting.keyId) && !keys.has(backupSetting.keyId)) {
+        await showUnlockScreen({
+            message: 'The face templates in this backup are encrypted. Enter the passphrase of the device it was made on.',
+            unlock: async passphrase => {
+                const key = await TemplateCrypto.deriveKey(passphrase, backupSetting);
+                try {
+                    await TemplateCrypto.decryptJson(key, backupSetting.check, backupSetting.keyId);
+                } catch (err) {
+                    return false;
+                }
+                keys.set(backupSetting.keyId, key);
+                return true;
+            },
+        });
+    }
+    return Promise.all(users.map(user => {
+        if (!user.encryptedTemplate) return user;
+        const key = keys.get(user.encryptedTemplate.keyId);
+        if (!key) {
+            throw new Error(`The templates of ${user.id} are encrypted with a key this backup does not describe.`);
+        }
+        return decryptUserRecord(user, key);
+    }));
+}
+
+/**
+* Writes a restore plan (UserDBBackup.plan) in one transaction. Users are
+* encrypted under this device's key first when template encryption is on.
+*/
+async function writeUserDBRestore(restorePlan) {
+    const unlocked = await requireTemplateKey();
+    const users = await Promise.all(restorePlan.users
+        .filter(user => user.action !== 'keep')
+        .map(user => unlocked ? encryptUserRecord(user.record, unlocked.key, unlocked.settings.keyId) : user.record));
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(UserDBBackup.STORES, 'readwrite');
+        if (restorePlan.mode === 'replace') {
+            UserDBBackup.STORES.forEach(name => transaction.objectStore(name).clear());
+        }
+        users.forEach(user => transaction.objectStore('users').put(user));
+        ['attendance', 'verifications'].forEach(name => {
+            const store = transaction.objectStore(name);
+            restorePlan.events[name].add.forEach(event => store.add(event));
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error restoring the backup: ' + event.target.error);
+    });
+}
+
+/**
+* Appends one check-in event to the attendance log.
+* @returns {Promise<number>} The event's id.
+*/
+async function addAttendanceEvent(event) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['attendance'], 'readwrite');
+        const store = transaction.objectStore('attendance');
+        const request = store.add(event);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (e) => reject('Error saving attendance event: ' + e.target.error);
+    });
+}
+
+/**
+* Attendance events with `timestamp` (epoch ms) in [from, to], oldest first.
+* Either bound may be omitted.
+*/
+async function getAttendanceEvents(from, to) {
+    const db = await initDB();
+    let range = null;
+    if (from !== undefined && from !== null && to !== undefined && to !== null) {
+        range = IDBKeyRange.bound(from, to);
+    } else if (from !== undefined && from !== null) {
+        range = IDBKeyRange.lowerBound(from);
+    } else if (to !== undefined && to !== null) {
+        range = IDBKeyRange.upperBound(to);
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['attendance'], 'readonly');
+        const request = transaction.objectStore('attendance').index('timestamp').getAll(range);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject('Error getting attendance events: ' + event.target.error);
+    });
+}
+
+/**
+* Appends one verification event to the verification history.
+* @returns {Promise<number>} The event's id.
+*/
+async function addVerificationEvent(event) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['verifications'], 'readwrite');
+        const store = transaction.objectStore('verifications');
+        const request = store.add(event);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (e) => reject('Error saving verification event: ' + e.target.error);
+    });
+}
+
+/**
+* Verification events, oldest first. With `userId` only that user's events are
+* read; `from` and `to` (epoch ms) bound `timestamp` and may be omitted.
+*/
+async function getVerificationEvents({ from = null, to = null, userId = null } = {}) {
+    const db = await initDB();
+    let range = null;
+    if (from !== null && to !== null) {
+        range = IDBKeyRange.bound(from, to);
+    } else if (from !== null) {
+        range = IDBKeyRange.lowerBound(from);
+    } else if (to !== null) {
+        range = IDBKeyRange.upperBound(to);
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['verifications'], 'readonly');
+        const store = transaction.objectStore('verifications');
+        const request = userId !== null
+            ? store.index('userId').getAll(IDBKeyRange.only(userId))
+            : store.index('timestamp').getAll(range);
+        request.onsuccess = (event) => {
+            let events = event.target.result;
+            if (userId !== null) {
+                // The userId index is not ordered by time, and the range still applies
+                events = events
+                    .filter(e => (from === null || e.timestamp >= from) && (to === null || e.timestamp <= to))
+                    .sort((a, b) => a.timestamp - b.timestamp);
+            }
+            resolve(events);
+        };
+        request.onerror = (event) => reject('Error getting verification events: ' + event.target.error);
+    });
+}
+
+/**
+* Deletes verification events by id.
+*/
+async function deleteVerificationEvents(ids) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['verifications'], 'readwrite');
+        const store = transaction.objectStore('verifications');
+        ids.forEach(id => store.delete(id));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error deleting verification events: ' + event.target.error);
+    });
+}
+
 function initializeFaceMatcher(users) {
+    verificationPolicy = new MatchVotePolicy(verification_policy_setup);
     if (users && users.length > 0) {
-        const labeledDescriptors = users.map(user => {
-            // Use the more robust mean descriptor for matching, which is the last one.
-            const meanDescriptor = user.descriptors[user.descriptors.length - 1];
-            return new faceapi.LabeledFaceDescriptors(
-                user.id, // Use user ID as the label for precise identification
-                [new Float32Array(meanDescriptor)]
-            );
-        }).filter(ld => ld.descriptors.length > 0); // Filter out users with no descriptors
+        const matcher = new UserFaceMatcher(users, {
+            ...face_matcher_options_setup,
+            threshold: vle_distance_rate,
+        });
 
-        if (labeledDescriptors.length > 0) {
-            faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, vle_distance_rate);
-            log.info(`FaceMatcher initialized with ${labeledDescriptors.length} users.`);
+        if (matcher.size > 0) {
+            faceMatcher = matcher;
+            log.info(`FaceMatcher initialized with ${matcher.size} users (strategy: ${matcher.strategy}).`);
         } else {
             faceMatcher = null;
             log.warn("FaceMatcher could not be initialized, no valid user descriptors found.");
@@ -227,6 +807,15 @@ function initializeFaceMatcher(users) {
     }
 }
 
+/**
+* Matches one detected face against the registered users. The same result
+* drives verification and the on-canvas label, so the two always agree.
+* @returns {Object|null} UserFaceMatcher match, or null when no users are loaded.
+*/
+function matchDetectedFace(descriptor) {
+    return faceMatcher && descriptor ? faceMatcher.findBestMatch(descriptor) : null;
+}
+
 async function deleteUser(userId) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
@@ -249,6 +838,7 @@ async function updateUser(userId, newName) {
             const user = event.target.result;
             if (user) {
                 user.name = newName;
+                user.updatedAt = new Date().toISOString();
                 const updateRequest = store.put(user);
                 updateRequest.onsuccess = () => resolve();
                 updateRequest.onerror = (event) => reject('Error updating user: ' + event.target.error);
@@ -259,8 +849,145 @@ async function updateUser(userId, newName) {
     });
 }
 
+// ---------------------------------------------------------------------------
+// Template versions: re-enrollment, merges and rollback (js/templateVersions.js)
+// ---------------------------------------------------------------------------
+
+/**
+* Puts the previous template of a profile back, see TemplateVersions.rollback().
+*/
+async function rollbackTemplate(userId) {
+    const user = (await getAllUsers()).find(u => u.id === userId);
+    const rolledBack = user ? TemplateVersions.rollback(user) : null;
+    if (!rolledBack) {
+        throw new Error(`Profile ${userId} has no previous template.`);
+    }
+    await saveUser(rolledBack);
+}
+
+// ---------------------------------------------------------------------------
+// Duplicate check over all enrolled users (js/duplicateScanWorker.js)
+// ---------------------------------------------------------------------------
+
+/**
+* Compares every user with every other one in a Web Worker.
+* @param {Array<Object>} users - Records with templates, e.g. from getAllUsers().
+* @param {Object} [options]
+* @param {number} [options.threshold] - Defaults to duplicate_scan_setup.threshold.
+* @param {Function} [options.onProgress] - Called with (done, total) users.
+* @returns {Promise<Array<Object>>} `{ a, b, minDistance, meanDistance, kind }`
+*   pairs of user records, closest first. `kind` is 'duplicate' when the means
+*   are within the threshold and 'look-alike' when only some captures are.
+*/
+function findDuplicateUsers(users, { threshold = duplicate_scan_setup.threshold, onProgress = null } = {}) {
+    const records = users.map(DBMigrations.toUserRecord)
+        .filter(user => Array.isArray(user.descriptors) && user.descriptors.length > 0);
+    const dimension = records.length ? records[0].descriptors[0].length : 0;
+    const offsets = new Int32Array(records.length + 1);
+    records.forEach((user, i) => {
+        offsets[i + 1] = offsets[i] + user.descriptors.length;
+    });
+    const captures = new Float32Array(offsets[records.length] * dimension);
+    const means = new Float32Array(records.length * dimension);
+    records.forEach((user, i) => {
+        user.descriptors.forEach((descriptor, j) => captures.set(descriptor, (offsets[i] + j) * dimension));
+        means.set(user.meanDescriptor || computeMeanDescriptor(user.descriptors), i * dimension);
+    });
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(duplicate_scan_setup.workerPath);
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'SCAN_PROGRESS') {
+                if (onProgress) onProgress(message.done, message.total);
+                return;
+            }
+            worker.terminate();
+            if (message.type === 'ERROR') {
+                reject(new Error(message.message));
+                return;
+            }
+            log.info(`Duplicate scan: ${message.data.comparisons} descriptor comparisons, ${message.data.pairs.length} pairs within ${threshold}.`);
+            resolve(message.data.pairs.map(pair => ({
+                a: records[pair.a],
+                b: records[pair.b],
+                minDistance: pair.minDistance,
+                meanDistance: pair.meanDistance,
+                kind: pair.meanDistance < threshold ? 'duplicate' : 'look-alike',
+            })));
+        };
+        worker.onerror = (error) => {
+            worker.terminate();
+            reject(new Error(error.message || 'Duplicate scan worker error'));
+        };
+        worker.postMessage({ type: 'SCAN_DUPLICATES', dimension, threshold, captures, offsets, means },
+            [captures.buffer, offsets.buffer, means.buffer]);
+    });
+}
+
+/**
+* Merges profile `removeId` into `keepId`, for one person enrolled twice. The
+* kept profile gets the captures of both, a new mean and calibration (its old
+* template kept for rollback), and the check-ins and verifications of
+* `removeId` move to it. Written in one transaction.
+*/
+async function mergeUsers(keepId, removeId) {
+    const users = await getAllUsers();
+    const keep = users.find(user => user.id === keepId);
+    const remove = users.find(user => user.id === removeId);
+    if (!keep || !remove) {
+        throw new Error('User not found');
+    }
+    const [kept, removed] = [keep, remove].map(DBMigrations.toUserRecord);
+    const captures = [...kept.descriptors, ...removed.descriptors].map(d => new Float32Array(d));
+    const otherUsers = users.filter(user => user.id !== keepId && user.id !== removeId);
+    const merged = {
+        ...TemplateVersions.withChange(kept, {
+            descriptors: captures.map(d => Array.from(d)),
+            meanDescriptor: Array.from(computeMeanDescriptor(captures)),
+            poses: [...TemplateVersions.perCaptureValues(kept, 'poses'), ...TemplateVersions.perCaptureValues(removed, 'poses')],
+            quality: [...TemplateVersions.perCaptureValues(kept, 'quality'), ...TemplateVersions.perCaptureValues(removed, 'quality')],
+            calibration: { ...UserFaceMatcher.computeCalibration(captures, otherUsers), computedAt: new Date().toISOString() },
+            thumbnail: kept.thumbnail || removed.thumbnail || null,
+        }, 'merge', { mergedId: removeId }),
+        updatedAt: new Date().toISOString(),
+    };
+    const unlocked = await requireTemplateKey();
+    const record = unlocked ? await encryptUserRecord(merged, unlocked.key, unlocked.settings.keyId) : merged;
+
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['users', 'attendance', 'verifications'], 'readwrite');
+        transaction.objectStore('users').put(record);
+        transaction.objectStore('users').delete(removeId);
+        ['attendance', 'verifications'].forEach(name => {
+            const request = transaction.objectStore(name).index('userId').openCursor(IDBKeyRange.only(removeId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, userId: keepId });
+                cursor.continue();
+            };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject('Error merging users: ' + event.target.error);
+    });
+}
+
+// The tiny landmark weights are not bundled; see the README
+var tinyLandmarkManifestPath = './models/face_landmark_68_tiny_model-weights_manifest.json';
+
+async function hasTinyLandmarkModel() {
+	try {
+		const response = await fetch(tinyLandmarkManifestPath, { method: 'HEAD', cache: 'no-store' });
+		return response.ok;
+	} catch (err) {
+		return false;
+	}
+}
+
 // Adjust detection options for low-end devices
-function adjustDetectionForDevice() {
+async function adjustDetectionForDevice() {
 	try {
 		const mem = navigator.deviceMemory || 4;
 		const cores = navigator.hardwareConcurrency || 4;
@@ -269,12 +996,22 @@ function adjustDetectionForDevice() {
 			face_detector_options_setup.inputSize = 96;
 			// Increase threshold slightly for performance
 			face_detector_options_setup.scoreThreshold = Math.max(face_detector_options_setup.scoreThreshold || 0.5, 0.5);
+			// The tiny 68-point landmark net keeps registration usable on old tablets,
+			// but only when its weights were added to models/
+			if (await hasTinyLandmarkModel()) {
+				face_detector_options_setup.landmarkModel = 'tiny';
+			} else {
+				log.info('Tiny landmark model not found in models/, keeping the full landmark model.');
+			}
 		}
 	} catch (err) {
 		log.warn('Device capability detection failed', err);
 	}
 }
 
+// Overrides for FaceQuality.DEFAULT_THRESHOLDS, e.g. { minSharpness: 25 } for soft webcams
+var captureQualityThresholds = {};
+
 // Similarity filtering settings for registration
 var registrationSimilarityThreshold = 0.15; // minimum Euclidean distance to accept new capture
 var maxRegistrationAttempts = 20;            // maximum attempts per descriptor slot
@@ -286,7 +1023,8 @@ var registrationAttemptDistances = [];
 
 // Add helper functions for improved registration checks and feedback
 const duplicateThreshold = 0.3; // threshold for duplicate across users; local-only
-const consistencyThreshold = 0.3; // max allowed distance from previous captures
+const consistencyThreshold = 0.3; // max allowed distance from the mean of the same pose's captures
+const poseChangeConsistencyThreshold = 0.4; // first capture of a pose, from the mean of all captures
 
 function showMessage(type, message) {
 	const msgEl = document.getElementById('registrationMessage');
@@ -335,13 +1073,17 @@ function hideLoadingOverlay() {
 
 
 function updateProgress() {
+	const target = getRegistrationTarget();
+	const planned = registrationPosePlan.reduce((sum, step) => sum + Math.min(countPoseCaptures(step.pose), step.quota), 0);
 	const el = document.getElementById('progressText');
 	if (el) {
-		el.innerText = `${currentUserDescriptors.length}/${maxCaptures} captures`;
+		const step = nextPoseStep();
+		const next = step ? ` – ${step.pose} ${countPoseCaptures(step.pose)}/${step.quota}` : '';
+		el.innerText = `${planned}/${target} captures${next}`;
 	}
 	const fill = document.getElementById('progressFill');
 	if (fill) {
-		const pct = Math.min(100, (currentUserDescriptors.length / maxCaptures) * 100);
+		const pct = target ? Math.min(100, (planned / target) * 100) : 0;
 		fill.style.width = pct + '%';
 	}
 	const show = currentUserDescriptors.length > 0;
@@ -353,6 +1095,10 @@ function updateProgress() {
 
 function updateVerifyProgress() {
 	const el = document.getElementById('verifyProgressText');
+	if (vle_verify_mode === 'attendance') {
+		if (el) el.innerText = `${attendanceCheckInCount} check-ins since start.`;
+		return;
+	}
 	if (el) {
 		el.innerText = `${verifiedCount}/${totalVerifyFaces} verified.`;
 	}
@@ -361,6 +1107,8 @@ function updateVerifyProgress() {
 		const pct = totalVerifyFaces ? Math.min(100, (verifiedCount / totalVerifyFaces) * 100) : 0;
 		fill.style.width = pct + '%';
 	}
+	const download = document.getElementById('verifyDownloadBtn');
+	if (download) download.style.display = verifiedCount > 0 ? '' : 'none';
 }
 
 function addCapturePreview(dataUrl) {
@@ -391,6 +1139,8 @@ function addCapturePreview(dataUrl) {
 function retakeLastCapture() {
 	if (currentUserDescriptors.length === 0) return;
 	currentUserDescriptors.pop();
+	currentUserPoses.pop();
+	currentUserQualities.pop();
 	capturedFrames.pop();
 	const preview = document.getElementById('capturePreview');
 	if (preview) {
@@ -408,6 +1158,8 @@ function restartRegistration() {
     }
 	stopRegistrationTimer();
 	currentUserDescriptors = [];
+	currentUserPoses = [];
+	currentUserQualities = [];
 	capturedFrames = [];
 	const preview = document.getElementById('capturePreview');
 	if (preview) preview.innerHTML = '';
@@ -436,6 +1188,8 @@ function cancelRegistration() {
 	registrationCompleted = true;
 	stopRegistrationTimer();
 	currentUserDescriptors = [];
+	currentUserPoses = [];
+	currentUserQualities = [];
 	capturedFrames = [];
 	const preview = document.getElementById('capturePreview');
 	if (preview) preview.innerHTML = '';
@@ -446,7 +1200,7 @@ function cancelRegistration() {
 	clear_all_canvases();
 	const container = document.querySelector('.face-detection-container');
 	if (container) container.style.display = 'none';
-	window.location.href = 'index.html';
+	window.location.href = reenrollSession ? 'profile_management.html' : 'index.html';
 }
 
 function restartVerification() {
@@ -456,6 +1210,9 @@ function restartVerification() {
     }
 	verifiedCount = 0;
 	verifiedUserIds = new Set();
+	activeLivenessChallenge = null;
+	passiveLiveness.reset();
+	faceTracker.reset();
 	verificationCompleted = false;
 	const list = document.getElementById('verifyPersonList');
 	if (list) {
@@ -468,6 +1225,9 @@ function restartVerification() {
 	verificationResults = registeredUsers.map(u => ({ id: u.id, name: u.name, verified: false }));
 	updateVerificationResultTextarea();
 	updateVerifyProgress();
+	if (vle_verify_mode === 'attendance') {
+		setupAttendanceMode();
+	}
 
     // Re-initialize the faceMatcher with all registered users
     initializeFaceMatcher(registeredUsers);
@@ -490,18 +1250,35 @@ function cancelVerification() {
 	window.location.href = 'index.html';
 }
 
-function populateUserFaceIdTextarea() {
+function getBundleReadOptions() {
+	return {
+		hmacSecret: descriptor_bundle_setup.hmacSecret,
+		trustedPublicKeys: descriptor_bundle_setup.trustedPublicKeys,
+		requireSignature: descriptor_bundle_setup.requireSignature,
+	};
+}
+
+/**
+* The current registration as a descriptor bundle (js/descriptorBundle.js),
+* signed per descriptor_bundle_setup.
+*/
+async function populateUserFaceIdTextarea() {
 	if (currentUserDescriptors.length === 0) return null;
 	const meanDescriptor = computeMeanDescriptor(currentUserDescriptors);
-	const downloadData = [{
+	const metadata = await getDeviceMetadata();
+	const bundle = await DescriptorBundle.create([{
+		schemaVersion: DBMigrations.USER_RECORD_SCHEMA_VERSION,
 		id: currentUserId,
 		name: currentUserName,
-		descriptors: [
-			...currentUserDescriptors.map(d => Array.from(d)),
-			Array.from(meanDescriptor)
-		]
-	}];
-	const jsonData = JSON.stringify(downloadData, null, 2);
+		descriptors: currentUserDescriptors.map(d => Array.from(d)),
+		meanDescriptor: Array.from(meanDescriptor),
+		poses: currentUserPoses.slice(),
+	}], {
+		device: { deviceName: metadata.deviceName, deviceModel: metadata.deviceModel, timeZone: metadata.timeZone },
+		hmacSecret: descriptor_bundle_setup.hmacSecret,
+		ecdsaPrivateKey: descriptor_bundle_setup.ecdsaPrivateKey,
+	});
+	const jsonData = JSON.stringify(bundle, null, 2);
 	const ta = document.querySelector('.user_face_id_json');
 	if (ta) {
 		ta.value = jsonData;
@@ -510,8 +1287,8 @@ function populateUserFaceIdTextarea() {
 	return jsonData;
 }
 
-function downloadRegistrationData() {
-	const jsonData = populateUserFaceIdTextarea();
+async function downloadRegistrationData() {
+	const jsonData = await populateUserFaceIdTextarea();
 	if (!jsonData) return;
 	const blob = new Blob([jsonData], { type: 'application/json' });
 	const url = URL.createObjectURL(blob);
@@ -530,6 +1307,17 @@ function updateVerificationResultTextarea() {
 	}
 }
 
+function downloadVerificationResults() {
+	const jsonData = JSON.stringify(verificationResults, null, 2);
+	const blob = new Blob([jsonData], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = 'face_verification_result.json';
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
 function captureAndSaveVerifiedUserImage(imageData, metadata) {
 	if (!imageData) return null;
 
@@ -537,7 +1325,7 @@ function captureAndSaveVerifiedUserImage(imageData, metadata) {
 	const ctx = canvas.getContext('2d');
 	canvas.width = imageData.width;
 	canvas.height = imageData.height;
-	ctx.putImageData(imageData, 0, 0);
+	paintFaceImage(ctx, imageData);
 
 	// Add timestamp and metadata
 	const now = new Date();
@@ -582,8 +1370,8 @@ async function getDeviceMetadata() {
 	const timeZoneOffset = (offsetHours >= 0 ? '+' : '') + offsetHours;
 	const userAgent = navigator.userAgent;
 
-	const parser = new UAParser();
-	const result = parser.getResult();
+	// ua-parser-js is only loaded by face_verify.html
+	const result = typeof UAParser === 'function' ? new UAParser().getResult() : { device: {}, os: {} };
 
 	const deviceName = result.device.vendor ? `${result.device.vendor} ${result.device.type || ''}`.trim() : 'Unknown';
 	const deviceModel = result.os.name ? `${result.os.name} ${result.os.version || ''}`.trim() : 'Unknown';
@@ -591,11 +1379,17 @@ async function getDeviceMetadata() {
 	return { utcTime, timeZone, timeZoneOffset, deviceName, deviceModel, deviceUserAgent: userAgent };
 }
 
-function isConsistentWithCurrentUser(descriptor) {
+// Compared with running means, never with a single capture, so a second person
+// cannot chain captures off one close frame. Turned faces sit farther from the
+// frontal captures than from each other, hence the mean of the same pose bucket,
+// and for a bucket's first capture the looser check against all captures.
+function isConsistentWithCurrentUser(descriptor, pose) {
 	if (currentUserDescriptors.length === 0) return true;
-	return currentUserDescriptors.every(refDesc =>
-	faceapi.euclideanDistance(descriptor, refDesc) < consistencyThreshold
-	);
+	const samePose = currentUserDescriptors.filter((d, i) => pose && currentUserPoses[i] === pose);
+	if (samePose.length > 0) {
+		return faceapi.euclideanDistance(descriptor, computeMeanDescriptor(samePose)) < consistencyThreshold;
+	}
+	return faceapi.euclideanDistance(descriptor, computeMeanDescriptor(currentUserDescriptors)) < poseChangeConsistencyThreshold;
 }
 
 function isDuplicateAcrossUsers(descriptor) {
@@ -612,15 +1406,52 @@ function isRecognizedAsCurrentUser(descriptor) {
 	);
 }
 
-function isCaptureQualityHigh(detection) {
-	if (!detection || !detection.detection) return false;
-	const score = detection.detection._score || 0;
-	const box = detection.alignedRect && detection.alignedRect._box;
-	if (!box) return false;
+/**
+* Per-criterion quality report of a registration capture (js/faceQuality.js).
+*/
+function assessCaptureQuality(detection) {
 	const video = document.getElementById(videoId);
-	const minArea = (video.videoWidth * video.videoHeight) * 0.05; // at least 5% of frame
-	const area = box._width * box._height;
-	return score >= 0.5 && area >= minArea;
+	return FaceQuality.assess(detection, {
+		frameWidth: video.videoWidth,
+		frameHeight: video.videoHeight,
+		crop: face_detector_options_setup.crop,
+		thresholds: captureQualityThresholds,
+	});
+}
+
+/**
+* Pose bucket of a detection for the registration plan ('frontal', 'left',
+* 'right', 'up' or 'down'), or null when the head is between buckets or the
+* detection has no landmarks. Directions are from the subject's point of view.
+*/
+function classifyPose(detection) {
+	const points = FaceGeometry.getPoints(detection);
+	if (!points) return null;
+	const { yaw, pitch } = FaceGeometry.estimatePose(points);
+	if (Math.abs(yaw) <= poseFrontalTolerance && Math.abs(pitch) <= poseFrontalTolerance) {
+		return 'frontal';
+	}
+	// The axis turned further decides between a side and an up/down bucket
+	if (Math.abs(yaw) >= poseYawThreshold && Math.abs(yaw) >= Math.abs(pitch)) {
+		return yaw > 0 ? 'left' : 'right';
+	}
+	if (Math.abs(pitch) >= posePitchThreshold) {
+		return pitch > 0 ? 'up' : 'down';
+	}
+	return null;
+}
+
+function countPoseCaptures(pose) {
+	return currentUserPoses.filter(p => p === pose).length;
+}
+
+function getRegistrationTarget() {
+	return registrationPosePlan.reduce((sum, step) => sum + step.quota, 0);
+}
+
+// First step of the plan still short of its quota, or null once every bucket is full
+function nextPoseStep() {
+	return registrationPosePlan.find(step => countPoseCaptures(step.pose) < step.quota) || null;
 }
 
 function computeMeanDescriptor(descriptors) {
@@ -646,6 +1477,48 @@ function logCalibrationSummary() {
 	registrationAttemptDistances = [];
 }
 
+/**
+* Per-user calibration stored with the profile: the spread of this user's
+* captures and the distance to the closest other registered user. Used by
+* UserFaceMatcher to derive a per-user verification threshold.
+*/
+async function computeEnrollmentCalibration(userId, captures) {
+	let otherUsers = [];
+	try {
+		otherUsers = (await getAllUsers()).filter(u => u.id !== userId);
+	} catch (err) {
+		log.warn('Could not load other users for calibration.', err);
+	}
+	const calibration = UserFaceMatcher.computeCalibration(captures, otherUsers);
+	logCalibrationSummary();
+	log.info(`Calibration for ${userId}: mean ${calibration.meanIntraDistance.toFixed(3)}, max ${calibration.maxIntraDistance.toFixed(3)}, p95 to mean ${calibration.p95CenterDistance.toFixed(3)}, nearest other user ${calibration.nearestOtherUserDistance === null ? 'n/a' : calibration.nearestOtherUserDistance.toFixed(3)}`);
+	return { ...calibration, computedAt: new Date().toISOString() };
+}
+
+/**
+* Lowers the `nearestOtherUserDistance` of stored profiles that `user`'s
+* captures come closer to than anyone before, so their thresholds stay capped
+* halfway to the new neighbour. Only `calibration` changes, and it is stored
+* unencrypted, so the records are written back as stored.
+*/
+async function refreshNeighbourCalibrations(user) {
+	const captures = DBMigrations.toUserRecord(user).descriptors;
+	const users = await getAllUsers();
+	const stored = new Map((await getUserProfiles()).map(u => [u.id, u]));
+	const updated = [];
+	users.forEach(other => {
+		if (other.id === user.id || !other.calibration || !stored.has(other.id)) return;
+		const distance = UserFaceMatcher.nearestDistance(DBMigrations.toUserRecord(other).descriptors, captures);
+		const current = other.calibration.nearestOtherUserDistance;
+		if (distance === null || (typeof current === 'number' && current <= distance)) return;
+		updated.push({ ...stored.get(other.id), calibration: { ...other.calibration, nearestOtherUserDistance: distance } });
+	});
+	if (updated.length > 0) {
+		await writeUsersAndSettings(updated);
+		log.info(`Updated the nearest other user distance of ${updated.length} profiles.`);
+	}
+}
+
 // Draw bounding box and label for registration/recognition overlay
 function drawRegistrationOverlay(detection) {
 	const video = document.getElementById(videoId);
@@ -669,10 +1542,43 @@ function drawRegistrationOverlay(detection) {
 	ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
 	const labelText = recognized ? `${currentUserName} (${currentUserId})` : 'Unknown';
 	ctx.fillText(labelText, MX, MY - 10);
+	drawPoseGuidance(ctx, canvas, classifyPose(detection));
+}
+
+// Arrows as seen on the mirrored preview: the subject's left is the screen's left
+const POSE_GUIDANCE_ARROWS = { left: '←', right: '→', up: '↑', down: '↓' };
+
+/**
+* Tells the user which pose the plan needs next: the prompt with the bucket's
+* count along the top edge and a large arrow, green while the current pose
+* already matches the requested one.
+*/
+function drawPoseGuidance(ctx, canvas, currentPose) {
+	const step = nextPoseStep();
+	if (!step) return;
+	const color = currentPose === step.pose ? 'lime' : 'orange';
+	const text = `${step.prompt} (${countPoseCaptures(step.pose)}/${step.quota})`;
+	ctx.font = '20px Arial';
+	ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+	const width = ctx.measureText(text).width + 20;
+	ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+	ctx.fillRect((canvas.width - width) / 2, 8, width, 32);
+	ctx.fillStyle = color;
+	ctx.fillText(text, canvas.width / 2, 14);
+	ctx.font = '64px Arial';
+	ctx.textBaseline = 'middle';
+	const arrow = POSE_GUIDANCE_ARROWS[step.pose];
+	if (arrow) {
+		const x = step.pose === 'left' ? 50 : step.pose === 'right' ? canvas.width - 50 : canvas.width / 2;
+		const y = step.pose === 'up' ? 90 : step.pose === 'down' ? canvas.height - 50 : canvas.height / 2;
+		ctx.fillText(arrow, x, y);
+	}
 }
 
 async function camera_start() {
   const video = document.getElementById(videoId);
+  // Tracks from before a stop may belong to someone else by now
+  faceTracker.reset();
   if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     log.error('Camera API: getUserMedia not supported in this browser.');
     if (typeof showPermissionOverlay === 'function') showPermissionOverlay();
@@ -721,7 +1627,6 @@ async function camera_stop() {
 		video.srcObject = null;
 		video.pause();
 	}
-	isDetectingFrame = false;
 	videoDetectionStep = null;
 }
 
@@ -739,35 +1644,48 @@ async function handleJsonFileInput(event) {
 				reader.onerror = reject;
 				reader.readAsText(file);
 			});
-			const data = JSON.parse(text);
-			if (Array.isArray(data) && data.length > 0 && data[0].hasOwnProperty('id')) {
-				allUsers = allUsers.concat(data);
-			} else {
-				// Old format: array of descriptors (not recommended for multi-user)
-				// Wrap as a dummy user
-				allUsers.push({ id: null, name: null, descriptors: data });
-			}
+			const { users } = await DescriptorBundle.read(text, getBundleReadOptions());
+			allUsers = allUsers.concat(users);
 		} catch (err) {
-			errorFiles.push(file.name);
+			log.warn(`Rejected descriptor file ${file.name}.`, err);
+			errorFiles.push(err instanceof DescriptorBundleError ? `${file.name} (${err.message})` : file.name);
 		}
 	}
 	if (errorFiles.length > 0) {
 		showMessage('error', 'Failed to load: ' + errorFiles.join(', ') + '. Check the file format and try again.');
 	}
 	if (allUsers.length > 0) {
-		const jsonStr = JSON.stringify(allUsers);
 		const ta = document.querySelector('.all_face_id_for_verification');
 		if (ta) {
-			ta.value = jsonStr;
+			// Already checked; marked as loaded so the textarea listener does not read it again
+			ta.value = lastLoadedVerificationJson = JSON.stringify(allUsers);
 			ta.dispatchEvent(new Event('input', { bubbles: true }));
+			await load_face_descriptor_users(allUsers);
 		} else {
-			await load_face_descriptor_json(jsonStr, true);
+			await load_face_descriptor_users(allUsers, true);
 			showMessage('success', `Loaded ${allUsers.length} users from ${files.length} file(s).`);
 		}
 	}
 }
 
+/**
+* Loads registered users from a descriptor bundle (js/descriptorBundle.js) or
+* a bare array of earlier versions, checked against descriptor_bundle_setup.
+*/
 async function load_face_descriptor_json(warmupFaceDescriptorJson, merge = false) {
+	let users;
+	try {
+		({ users } = await DescriptorBundle.read(warmupFaceDescriptorJson, getBundleReadOptions()));
+	} catch (error) {
+		log.error('Rejected face descriptor JSON.', error);
+		showMessage('error', 'Error loading face descriptors: ' + error.message +
+			(error instanceof DescriptorBundleError ? '' : '. Please verify the JSON structure.'));
+		return;
+	}
+	await load_face_descriptor_users(users, merge);
+}
+
+async function load_face_descriptor_users(users, merge = false) {
 	await faceApiReadyPromise; // Wait for models to load
 	if (!isFaceApiReady) {
         log.warn('Face API not ready, deferring JSON load.');
@@ -775,40 +1693,19 @@ async function load_face_descriptor_json(warmupFaceDescriptorJson, merge = false
         return;
     }
 	try {
-		const data = JSON.parse(warmupFaceDescriptorJson);
-		if (Array.isArray(data) && data.length > 0 && data[0].hasOwnProperty('id')) {
-			if (!merge) {
-				registeredUsers = data;
-			} else {
-				registeredUsers = (registeredUsers || []).concat(data);
-			}
-            initializeFaceMatcher(registeredUsers);
-			flatRegisteredDescriptors = [];
-			flatRegisteredUserMeta = [];
-			registeredUsers.forEach(user => {
-				user.descriptors.forEach((descArr, idx) => {
-					if (idx === user.descriptors.length - 1 && user.descriptors.length > 1) {
-						// Skip mean descriptor to reduce matching overhead
-						return;
-					}
-					flatRegisteredDescriptors.push(new Float32Array(descArr));
-					flatRegisteredUserMeta.push({ id: user.id, name: user.name });
-				});
-			});
-			registeredDescriptors = flatRegisteredDescriptors;
+		if (!merge) {
+			registeredUsers = users;
 		} else {
-			// Old format: array of descriptors
-			const descriptors = Object.values(data).map(descriptor => {
-				if (Array.isArray(descriptor) || typeof descriptor === 'object' && descriptor !== null) {
-					return new Float32Array(Object.values(descriptor));
-				} else {
-					return null;
-				}
-			}).filter(descriptor => descriptor !== null);
-			registeredDescriptors = descriptors;
-			flatRegisteredDescriptors = descriptors;
-			flatRegisteredUserMeta = descriptors.map(() => ({ id: null, name: null }));
+			registeredUsers = (registeredUsers || []).concat(users);
 		}
+        initializeFaceMatcher(registeredUsers);
+		flatRegisteredDescriptors = [];
+		registeredUsers.forEach(user => {
+			user.descriptors.forEach(descArr => {
+				flatRegisteredDescriptors.push(new Float32Array(descArr));
+			});
+		});
+		registeredDescriptors = flatRegisteredDescriptors;
 		
 		const listEl = document.getElementById('verifyPersonList');
 		if (listEl) {
@@ -845,14 +1742,27 @@ async function load_face_descriptor_json(warmupFaceDescriptorJson, merge = false
 		camera_start();
 		video_face_detection();
 	} catch (error) {
-		log.error('Failed to load face descriptors from JSON.', error);
-		showMessage('error', 'Error loading face descriptors: ' + error.message + '. Please verify the JSON structure.');
+		log.error('Failed to load face descriptors.', error);
+		showMessage('error', 'Error loading face descriptors: ' + error.message);
+	}
+}
+
+/**
+* Grabs the current video frame for the worker. createImageBitmap avoids the
+* main-thread getImageData copy; browsers without it draw into the hidden
+* canvas (canvasId) and read the pixels back.
+*/
+function captureVideoFrame(video, canvas, context) {
+	if (typeof createImageBitmap === 'function') {
+		return createImageBitmap(video);
 	}
+	context.drawImage(video, 0, 0, canvas.width, canvas.height);
+	return Promise.resolve(context.getImageData(0, 0, canvas.width, canvas.height));
 }
 
 /**
 * Continuously captures video frames and sends them to the service worker for face detection.
-* Draws the raw frame into the hidden canvas (canvasId) for inference.
+* Frames are transferred to the worker as ImageBitmaps (see captureVideoFrame).
 */
 function video_face_detection() {
 	var video = document.getElementById(videoId);
@@ -865,13 +1775,12 @@ function video_face_detection() {
 		canvas.width = video.videoWidth;
 		canvas.height = video.videoHeight;
 		function step() {
-			// Skip processing if video is paused/ended or a detection is already running
-			if (video.paused || video.ended) {
+			// A newer loop (or camera_stop) has replaced this one
+			if (videoDetectionStep !== step) {
 				return;
 			}
-			if (isDetectingFrame) {
-				// Wait until the previous detection result returns
-				requestAnimationFrame(step);
+			// Skip processing if video is paused/ended; the next 'play' restarts the loop
+			if (video.paused || video.ended) {
 				return;
 			}
 			
@@ -886,32 +1795,17 @@ function video_face_detection() {
 				}
 			}
 			
-			// Capture current frame
-			context.drawImage(video, 0, 0, canvas.width, canvas.height);
-			const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-			
-			// Mark a detection in-flight and send the frame to the worker
-			isDetectingFrame = true;
-			if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-				navigator.serviceWorker.controller.postMessage({
-					type: 'DETECT_FACES',
-					imageData,
-					width: canvas.width,
-					height: canvas.height,
-					face_detector_options: face_detector_options_setup,
-				});
-			} else if (worker && typeof worker.postMessage === 'function') {
-				worker.postMessage({
-					type: 'DETECT_FACES',
-					imageData,
-					width: canvas.width,
-					height: canvas.height,
-					face_detector_options: face_detector_options_setup,
+			// Send the frame and wait for its own reply before scheduling the next
+			// one, so only a single detection is ever in flight per loop.
+			captureVideoFrame(video, canvas, context)
+				.then(frame => FaceEngine.detect(frame, getFrameDetectorOptions()))
+				.then(handleDetectionResult)
+				.catch(err => log.warn('Frame detection request failed:', err))
+				.finally(() => {
+					if (videoDetectionStep === step) {
+						requestAnimationFrame(step);
+					}
 				});
-			}
-			
-			// Schedule the next frame – this will be skipped if detection is still running
-			// Next frame will be scheduled when the worker returns the detection result
 		}
 		
 		// Store reference so we can trigger a new cycle from the worker callback
@@ -928,9 +1822,21 @@ async function unregisterAllServiceWorker() {
 	});
 }
 
+/**
+* Paints a face crop from the worker at the canvas origin. Crops are
+* ImageBitmaps; ImageData is still handled for older cached workers.
+*/
+function paintFaceImage(context, image) {
+	if (image instanceof ImageData) {
+		context.putImageData(image, 0, 0);
+	} else {
+		context.drawImage(image, 0, 0);
+	}
+}
+
 /**
 * Draws the captured face image and confidence percentage onto the snapshot canvas (canvasOutputId).
-* @param {Array} detections - Array containing face detection results and raw ImageData.
+* @param {Array} detections - Array containing face detection results and face crop ImageBitmaps.
 * @param {string} canvasId - ID of the canvas to draw the snapshot on.
 */
 async function drawImageDataToCanvas(detections, canvasId) {
@@ -962,12 +1868,12 @@ async function drawImageDataToCanvas(detections, canvasId) {
 		}
 	}
 	
-	// Set canvas dimensions to match the imageData
+	// Set canvas dimensions to match the face crop
 	canvas.width = imageData.width;
 	canvas.height = imageData.height;
 	
-	// Draw the ImageData onto the canvas
-	context.putImageData(imageData, 0, 0);
+	// Draw the face crop onto the canvas
+	paintFaceImage(context, imageData);
 	
 	// Display confidence percentage
 	context.font = '20px Arial';
@@ -1113,18 +2019,45 @@ function clear_all_canvases() {
 }
 
 var registeredDescriptors = [];
-var maxCaptures = 20;
+// Registration pose plan: captures needed per head pose, asked for in this
+// order. Registration completes once every bucket has its quota.
+var registrationPosePlan = [
+	{ pose: 'frontal', quota: 8, prompt: 'Look straight at the camera' },
+	{ pose: 'left', quota: 3, prompt: 'Turn your head slowly to your left' },
+	{ pose: 'right', quota: 3, prompt: 'Turn your head slowly to your right' },
+	{ pose: 'up', quota: 3, prompt: 'Tilt your head slightly up' },
+	{ pose: 'down', quota: 3, prompt: 'Tilt your head slightly down' },
+];
+var poseFrontalTolerance = 8;  // max |yaw| and |pitch| in degrees counted as 'frontal'
+var poseYawThreshold = 15;     // min |yaw| for 'left' / 'right'
+var posePitchThreshold = 10;   // min |pitch| for 'up' / 'down'
+var registrationAttemptPose = null;    // bucket the current diversity attempts are for
 var registrationCompleted = false;
 var verificationCompleted = false;
 var totalVerifyFaces = 0;
 var verifiedCount = 0;
 var verifiedUserIds = new Set();
+// Optional challenge-response liveness step before a match counts ("y" = on)
+var vle_liveness_challenge_yn = "n";
+var livenessChallengeTimeoutMs = 8000;
+var livenessRetryDelayMs = 2000;       // pause after a failed challenge before the next one
+var activeLivenessChallenge = null;    // { uid, challenge } while a LivenessChallenge runs
+var livenessFailedAt = 0;
+// Passive spoof scoring over recent frames of each matched face (js/liveness.js).
+// 0 records the score without gating; e.g. 0.5 holds back verification below it.
+var vle_min_liveness_score = 0;
+var passiveLiveness = typeof PassiveLivenessScorer === 'function' ? new PassiveLivenessScorer() : null;
+// Track IDs and smoothed matches across frames (js/faceTracker.js)
+var faceTracker = typeof FaceTracker === 'function' ? new FaceTracker() : null;
+// "y" lets the worker skip descriptors of faces whose track is already confirmed (verify only)
+var vle_skip_confirmed_descriptors_yn = "y";
 var registrationStartTime = null;
 var registrationTimeout = 1 * 60 * 1000; // 1 minute
 var registrationTimer = null;
 var timeLeft = registrationTimeout;
 var capturedFrames = [];
-var lastFaceImageData = null;
+var lastFaceImageData = null;         // latest face crop (ImageBitmap) from the worker
+var frameFaceImages = [];             // all face crops of the latest frame
 var currentModalIndex = -1;
 
 function showModalImage(index) {
@@ -1193,18 +2126,37 @@ function resumeRegistrationTimer() {
 	}
 }
 
-function faceapi_register(descriptor) {
+/**
+* Offers one capture to the registration pose plan.
+* @param {Float32Array} descriptor
+* @param {string|null} pose - Bucket from classifyPose().
+* @param {Object} [quality] - FaceQuality.summarize() of the capture.
+* @returns {boolean} Whether the capture was kept.
+*/
+function faceapi_register(descriptor, pose, quality) {
 	if (!descriptor || registrationCompleted) {
-		return;
+		return false;
+	}
+	const step = registrationPosePlan.find(s => s.pose === pose);
+	if (!step || countPoseCaptures(pose) >= step.quota) {
+		return false;
 	}
+	if (pose !== registrationAttemptPose) {
+		// Diversity attempts only compare captures of the same pose
+		registrationAttemptPose = pose;
+		currentRegistrationAttempt = 0;
+		bestCandidateDescriptor = null;
+		bestCandidateMinDist = 0;
+	}
+	const samePose = currentUserDescriptors.filter((d, i) => currentUserPoses[i] === pose);
 
 	let accept = false;
-	// Always accept the first descriptor
-	if (currentUserDescriptors.length === 0) {
+	// Always accept the first descriptor of a pose
+	if (samePose.length === 0) {
 		accept = true;
 	} else {
-		// Compute minimum distance to existing descriptors
-		const distances = currentUserDescriptors.map(d => faceapi.euclideanDistance(descriptor, d));
+		// Compute minimum distance to existing descriptors of this pose
+		const distances = samePose.map(d => faceapi.euclideanDistance(descriptor, d));
 		const minDist = Math.min(...distances);
 		registrationAttemptDistances.push(minDist);
 		log.debug(`Registration check: Minimum distance to existing captures is ${minDist.toFixed(3)}`);
@@ -1225,11 +2177,13 @@ function faceapi_register(descriptor) {
 	}
 	if (accept) {
 		currentUserDescriptors.push(descriptor);
+		currentUserPoses.push(pose);
+		currentUserQualities.push(quality || null);
 		if (lastFaceImageData) {
 			const cv = document.createElement('canvas');
 			cv.width = lastFaceImageData.width;
 			cv.height = lastFaceImageData.height;
-			cv.getContext('2d').putImageData(lastFaceImageData, 0, 0);
+			paintFaceImage(cv.getContext('2d'), lastFaceImageData);
 			const url = cv.toDataURL();
 			capturedFrames.push(url);
 			addCapturePreview(url);
@@ -1240,8 +2194,8 @@ function faceapi_register(descriptor) {
 		currentRegistrationAttempt = 0;
 		bestCandidateDescriptor = null;
 		bestCandidateMinDist = 0;
-		// Check if registration is complete
-		if (currentUserDescriptors.length >= maxCaptures) {
+		// Registration is complete once every pose bucket has its quota
+		if (!nextPoseStep()) {
 			registrationCompleted = true;
 			stopRegistrationTimer();
 			faceapi_action = null;
@@ -1255,52 +2209,537 @@ function faceapi_register(descriptor) {
 			showMessage('success', 'Capture complete! Please review and click Submit.');
 		}
 	}
+	return accept;
 }
 
 async function submitRegistration() {
-    if (currentUserDescriptors.length < maxCaptures) {
+    if (nextPoseStep()) {
         showMessage('error', 'Please complete the capture process first.');
         return;
     }
 
-    const meanDescriptor = computeMeanDescriptor(currentUserDescriptors);
-    const user = {
-        id: currentUserId,
-        name: currentUserName,
-        descriptors: [
-            ...currentUserDescriptors.map(d => Array.from(d)),
-            Array.from(meanDescriptor)
-        ]
+    let user;
+    if (reenrollSession) {
+        user = await buildReenrolledUser();
+        if (!user) return;
+    } else {
+        const meanDescriptor = computeMeanDescriptor(currentUserDescriptors);
+        user = {
+            schemaVersion: DBMigrations.USER_RECORD_SCHEMA_VERSION,
+            id: currentUserId,
+            name: currentUserName,
+            descriptors: currentUserDescriptors.map(d => Array.from(d)),
+            meanDescriptor: Array.from(meanDescriptor),
+            poses: currentUserPoses.slice(),
+            quality: currentUserQualities.slice(),
+            calibration: await computeEnrollmentCalibration(currentUserId, currentUserDescriptors),
+            // First capture, taken frontal by the pose plan
+            thumbnail: capturedFrames[0] || null
+        };
+    }
+
+    try {
+        await saveUser(user);
+        try {
+            await refreshNeighbourCalibrations(user);
+        } catch (err) {
+            log.warn('Could not update the calibration of the other profiles.', err);
+        }
+        alert((reenrollSession ? "Template updated for user: " : "Registration completed and saved for user: ") + currentUserName + " (" + currentUserId + ")");
+        clearProgress();
+        window.location.href = reenrollSession ? 'profile_management.html' : 'index.html';
+    } catch (err) {
+        log.error('Failed to save user profile to IndexedDB.', err);
+        showMessage('error', 'Failed to save user profile.');
+    }
+}
+
+/**
+* Opens face_register.html on an existing profile (`?reenroll=<id>&mode=`):
+* 'append' adds the new captures to the stored ones, 'replace' swaps them in.
+* Either way the old template stays available for rollback.
+*/
+async function setupReenrollment(userId, mode) {
+    let user = null;
+    try {
+        user = (await getAllUsers()).find(u => u.id === userId);
+    } catch (err) {
+        showTemplateLoadError(err, () => setupReenrollment(userId, mode));
+        return false;
+    }
+    if (!user) {
+        showMessage('error', `No profile with ID ${userId} could be loaded.`);
+        return false;
+    }
+    reenrollSession = { user: DBMigrations.toUserRecord(user), mode: mode === 'replace' ? 'replace' : 'append' };
+    const idInput = document.getElementById('userIdInput');
+    const nameInput = document.getElementById('userNameInput');
+    if (idInput) {
+        idInput.value = user.id;
+        idInput.readOnly = true;
+    }
+    if (nameInput) nameInput.value = user.name;
+    const title = document.querySelector('#registrationForm h3');
+    if (title) {
+        title.textContent = reenrollSession.mode === 'replace' ? `Re-enroll ${user.name}` : `Add Captures for ${user.name}`;
+    }
+    const startBtn = document.getElementById('startBtn');
+    if (startBtn) startBtn.textContent = reenrollSession.mode === 'replace' ? 'Start Re-enrollment' : 'Start Capturing';
+    log.info(`Re-enrolling ${user.id} (${reenrollSession.mode}), template version ${user.templateVersion || 1}.`);
+    return true;
+}
+
+/**
+* The re-enrolled profile: new mean and calibration over the resulting
+* captures, the change logged by TemplateVersions.withChange(). Asks before
+* saving captures that do not look like the stored profile.
+* @returns {Promise<Object|null>} Null when the user declines.
+*/
+async function buildReenrolledUser() {
+    const { user, mode } = reenrollSession;
+    const storedMean = user.meanDescriptor || computeMeanDescriptor(user.descriptors);
+    const newMean = computeMeanDescriptor(currentUserDescriptors);
+    const drift = storedMean ? faceapi.euclideanDistance(newMean, storedMean) : 0;
+    if (drift > consistencyThreshold &&
+        !confirm(`The new captures do not look like the stored profile of ${user.name} (distance ${drift.toFixed(3)}). Save them anyway?`)) {
+        return null;
+    }
+    const append = mode === 'append';
+    const captures = append
+        ? [...user.descriptors.map(d => new Float32Array(d)), ...currentUserDescriptors]
+        : currentUserDescriptors;
+    return TemplateVersions.withChange({ ...user, name: currentUserName }, {
+        descriptors: captures.map(d => Array.from(d)),
+        meanDescriptor: Array.from(computeMeanDescriptor(captures)),
+        poses: append ? [...TemplateVersions.perCaptureValues(user, 'poses'), ...currentUserPoses] : currentUserPoses.slice(),
+        quality: append ? [...TemplateVersions.perCaptureValues(user, 'quality'), ...currentUserQualities] : currentUserQualities.slice(),
+        calibration: await computeEnrollmentCalibration(user.id, captures),
+        thumbnail: append ? user.thumbnail || capturedFrames[0] || null : capturedFrames[0] || user.thumbnail || null,
+    }, mode, { addedCaptures: currentUserDescriptors.length });
+}
+
+/**
+* Threshold used by face-api.js Euclidean distance to decide whether two
+* face descriptors correspond to the same person.
+*
+* A lower value makes the verification stricter (fewer false positives but
+* more false negatives). 0.3 is a commonly used starting point that works
+* well in good lighting conditions. Adjust empirically for your setup.
+*/
+var vle_distance_rate = 0.3;
+
+// Records a failed challenge on the user's result and delays the next one
+function recordLivenessFailure(uid, result) {
+    const user = registeredUsers.find(u => u.id === uid);
+    livenessFailedAt = Date.now();
+    if (claimSession && claimSession.user.id === uid) {
+        claimSession.livenessFailure = result;
+    }
+    verificationResults = verificationResults.map(r =>
+        r.id === uid ? { ...r, liveness: result } : r
+    );
+    updateVerificationResultTextarea();
+    showVerifyToast(`Liveness check failed for ${user ? user.name : uid}. Please try again.`);
+    log.info(`Liveness challenge '${result.challenge}' failed for ${uid} (${result.reason}).`);
+}
+
+/**
+* Runs the liveness challenge for a matched user, one user at a time.
+* @returns {Object|null} The passed challenge result, or null while it is
+*   pending, failed or another user's challenge is running.
+*/
+function runLivenessChallenge(uid, detection) {
+    if (!activeLivenessChallenge) {
+        if (Date.now() - livenessFailedAt < livenessRetryDelayMs) {
+            return null;
+        }
+        activeLivenessChallenge = {
+            uid,
+            challenge: new LivenessChallenge({ timeoutMs: livenessChallengeTimeoutMs })
+        };
+    }
+    if (activeLivenessChallenge.uid !== uid) {
+        return null;
+    }
+    const { challenge } = activeLivenessChallenge;
+    const status = challenge.update(detection);
+    if (status === 'pending') {
+        const user = registeredUsers.find(u => u.id === uid);
+        showVerifyToast(`${user ? user.name : uid}: ${challenge.prompt} (${Math.ceil(challenge.remainingMs / 1000)}s)`);
+        return null;
+    }
+    activeLivenessChallenge = null;
+    if (status === 'failed') {
+        recordLivenessFailure(uid, challenge.toResult());
+        return null;
+    }
+    return challenge.toResult();
+}
+
+// Times out a challenge even when the challenged face has left the frame
+function checkLivenessChallengeTimeout() {
+    if (activeLivenessChallenge && activeLivenessChallenge.challenge.checkTimeout() === 'failed') {
+        const { uid, challenge } = activeLivenessChallenge;
+        activeLivenessChallenge = null;
+        recordLivenessFailure(uid, challenge.toResult());
+    }
+}
+
+/**
+* Liveness gate shared by the verification modes: the passive score must reach
+* vle_min_liveness_score and, with vle_liveness_challenge_yn, the challenge
+* must be passed.
+* @returns {{passed: boolean, held: boolean, livenessScore: number|null, liveness: Object|null}}
+*   `held` when the passive score kept the match back.
+*/
+function checkLivenessGate(uid, detection) {
+    const livenessScore = detection && typeof detection.livenessScore === 'number' ? detection.livenessScore : null;
+    if (vle_min_liveness_score > 0 && !(livenessScore >= vle_min_liveness_score)) {
+        log.debug(`Holding back ${uid}: livenessScore ${livenessScore === null ? 'pending' : livenessScore.toFixed(2)} < ${vle_min_liveness_score}`);
+        return { passed: false, held: true, livenessScore, liveness: null };
+    }
+    if (vle_liveness_challenge_yn === "y") {
+        const liveness = runLivenessChallenge(uid, detection);
+        return { passed: Boolean(liveness), held: false, livenessScore, liveness };
+    }
+    return { passed: true, held: false, livenessScore, liveness: null };
+}
+
+// Vote statistics of a MatchVotePolicy decision, as recorded with a result
+function toMatchVotes(decision) {
+    return {
+        votes: decision.votes,
+        votesRequired: decision.votesRequired,
+        windowSize: decision.windowSize,
+        frames: decision.frames,
+        meanDistance: decision.meanDistance,
+        minMargin: decision.minMargin,
+    };
+}
+
+function setClaimStatus(message, type) {
+    const el = document.getElementById('claimStatusText');
+    if (el) {
+        el.innerText = message;
+        el.style.color = type === 'error' ? 'red' : type === 'success' ? 'green' : '';
+    }
+}
+
+/**
+* Starts a 1:1 check of the live face against one claimed ID. Only that user's
+* descriptors are matched, with claim_verification_setup.threshold as the
+* loosest threshold allowed; the check ends in finishClaimVerification().
+* @returns {boolean} false when the ID is not registered.
+*/
+function startClaimVerification(claimedId) {
+    const id = String(claimedId || '').trim();
+    const user = registeredUsers.find(u => String(u.id) === id);
+    if (!user) {
+        setClaimStatus(id ? `No registered user with ID ${id}.` : 'Enter or scan an ID first.', 'error');
+        return false;
+    }
+    const strictThreshold = claim_verification_setup.threshold;
+    const matcher = new UserFaceMatcher([user], {
+        ...face_matcher_options_setup,
+        threshold: strictThreshold,
+        thresholdCeiling: Math.min(face_matcher_options_setup.thresholdCeiling || strictThreshold, strictThreshold),
+    });
+    faceMatcher = matcher;
+    verificationPolicy = new MatchVotePolicy(verification_policy_setup);
+    faceTracker.reset();
+    passiveLiveness.reset();
+    activeLivenessChallenge = null;
+    claimSession = {
+        user,
+        matcher,
+        startedAt: Date.now(),
+        faceFrames: 0,
+        bestDistance: Infinity,
+        livenessHeld: false,
+        livenessFailure: null,
+        lastImage: null,
+    };
+    verificationCompleted = false;
+    faceapi_action = 'verify';
+    setClaimStatus(`Verifying ${user.name} (${user.id}). Please look at the camera.`);
+    log.info(`Claim verification started for ${user.id}.`);
+    if (!videoDetectionStep) {
+        camera_start().then(() => video_face_detection());
+    }
+    return true;
+}
+
+/**
+* One frame of a 1:1 check: accepts once the vote policy accepts the claimed
+* user (and liveness passes), rejects when claim_verification_setup.timeoutMs
+* runs out. More than one face in view never counts.
+*/
+function handleClaimDetections(dets, imageDataForFrame) {
+    const session = claimSession;
+    if (!session) return;
+    checkLivenessChallengeTimeout();
+
+    if (dets.length > 1) {
+        setClaimStatus('Only the person claiming the ID may be in view.', 'error');
+    } else if (dets.length === 1) {
+        const d = dets[0];
+        session.faceFrames++;
+        const previousImage = session.lastImage;
+        session.lastImage = d.thumbnail || imageDataForFrame || previousImage;
+        if (previousImage !== session.lastImage) closeFaceImage(previousImage);
+        if (d.frameMatch && Number.isFinite(d.frameMatch.distance)) {
+            session.bestDistance = Math.min(session.bestDistance, d.frameMatch.distance);
+        }
+        if (d.decision && d.decision.status === 'accepted') {
+            const gate = checkLivenessGate(session.user.id, d);
+            if (gate.passed) {
+                finishClaimVerification(true, { decision: d.decision, livenessScore: gate.livenessScore, liveness: gate.liveness })
+                    .catch(reportClaimFinishError);
+                return;
+            }
+            session.livenessHeld = session.livenessHeld || gate.held;
+        } else if (d.decision && d.decision.status === 'identifying') {
+            setClaimStatus(`Verifying ${session.user.name} (${session.user.id})… ${d.decision.votes}/${d.decision.votesRequired}`);
+        }
+    }
+
+    // A running liveness challenge has its own timeout
+    if (!activeLivenessChallenge && Date.now() - session.startedAt > claim_verification_setup.timeoutMs) {
+        let reason = 'no_match';
+        if (session.faceFrames === 0) {
+            reason = 'no_face';
+        } else if (session.livenessFailure || session.livenessHeld) {
+            reason = 'liveness';
+        } else if (session.bestDistance <= session.matcher.thresholdFor(session.matcher.entries[0])) {
+            reason = 'not_enough_votes';
+        }
+        finishClaimVerification(false, { reason }).catch(reportClaimFinishError);
+    }
+}
+
+// The session is already closed when finishing fails, so the status must say so
+function reportClaimFinishError(err) {
+    log.error('Failed to finish the claim verification.', err);
+    setClaimStatus('The verification could not be completed. Please claim the ID again.', 'error');
+}
+
+/**
+* Ends the 1:1 check and writes its record to claimVerificationResult (and the
+* .face_claim_result textarea). `confidence` is how far under the threshold the
+* distance is: 1 for a perfect match, 0 at or above the threshold.
+*/
+async function finishClaimVerification(accepted, { decision = null, livenessScore = null, liveness = null, reason = null }) {
+    const session = claimSession;
+    if (!session) return;
+    claimSession = null;
+    faceapi_action = null;
+    faceMatcher = null;
+    verificationCompleted = true;
+    activeLivenessChallenge = null;
+
+    const match = decision && decision.match;
+    const threshold = match ? match.threshold : session.matcher.thresholdFor(session.matcher.entries[0]);
+    const distance = match ? match.distance : (Number.isFinite(session.bestDistance) ? session.bestDistance : null);
+    const confidence = distance === null ? 0 : Math.min(Math.max((threshold - distance) / threshold, 0), 1);
+    const metadata = await getDeviceMetadata();
+    claimVerificationResult = {
+        mode: 'claim',
+        claimedId: session.user.id,
+        name: session.user.name,
+        result: accepted ? 'accept' : 'reject',
+        reason: accepted ? null : reason,
+        distance,
+        threshold,
+        confidence,
+        durationMs: Date.now() - session.startedAt,
+        livenessScore,
+        ...(liveness || session.livenessFailure ? { liveness: liveness || session.livenessFailure } : {}),
+        ...(decision ? { matchVotes: toMatchVotes(decision) } : {}),
+        capturedImage: captureAndSaveVerifiedUserImage(session.lastImage, metadata),
+        ...metadata
+    };
+    closeFaceImage(session.lastImage);
+
+    const { claimedId, distance: matchDistance, threshold: matchThreshold, ...claimRecord } = claimVerificationResult;
+    recordVerificationEvent({ ...claimRecord, userId: claimedId, matchDistance, matchThreshold });
+
+    const ta = document.querySelector('.face_claim_result');
+    if (ta) {
+        ta.value = JSON.stringify(claimVerificationResult, null, 2);
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    const who = `${session.user.name} (${session.user.id})`;
+    const distanceText = distance === null ? 'no face' : `distance ${distance.toFixed(3)}`;
+    if (accepted) {
+        setClaimStatus(`Accepted: ${who}, ${distanceText}, confidence ${Math.round(confidence * 100)}%.`, 'success');
+        showVerifyToast(`${who} accepted`);
+    } else {
+        setClaimStatus(`Rejected: ${who} (${reason}), ${distanceText}.`, 'error');
+        showVerifyToast(`${who} rejected`);
+    }
+    log.info(`Claim verification for ${session.user.id}: ${claimVerificationResult.result}${reason ? ` (${reason})` : ''}.`);
+    clear_all_canvases();
+
+    // Ready for the next person
+    const input = document.getElementById('claimedIdInput');
+    if (input) {
+        input.value = '';
+        input.focus();
+    }
+}
+
+/**
+* Switches face_verify.html to claimed-identity mode: the claim form replaces
+* the list of pending users, and no face is named until an ID is claimed.
+*/
+function setupClaimMode(claimedId) {
+    faceMatcher = null;
+    faceapi_action = null;
+    const panel = document.getElementById('claimPanel');
+    if (panel) panel.style.display = 'flex';
+    const progress = document.getElementById('verifyProgressContainer');
+    if (progress) progress.style.display = 'none';
+
+    const input = document.getElementById('claimedIdInput');
+    const button = document.getElementById('claimVerifyBtn');
+    const start = () => {
+        if (!claimSession) startClaimVerification(input ? input.value : '');
     };
+    if (button) button.addEventListener('click', start);
+    // Barcode and badge scanners type the ID followed by Enter
+    if (input) {
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') start();
+        });
+        input.focus();
+    }
+    if (claimedId) {
+        if (input) input.value = claimedId;
+        startClaimVerification(claimedId);
+    }
+}
 
+function formatCheckInTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function setAttendanceStatus(uid, text, checkedIn) {
+    const li = document.querySelector(`#verifyPersonList li[data-user-id="${uid}"]`);
+    if (li) {
+        li.classList.toggle('verified', checkedIn);
+        const status = li.querySelector('.status');
+        if (status) status.textContent = text;
+    }
+}
+
+/**
+* Switches face_verify.html to attendance mode. Check-ins logged within the
+* cooldown before a reload still count, so reopening the kiosk does not log
+* everyone in view twice.
+*/
+async function setupAttendanceMode() {
+    registeredUsers.forEach(u => setAttendanceStatus(u.id, 'not checked in', false));
     try {
-        await saveUser(user);
-        alert("Registration completed and saved for user: " + currentUserName + " (" + currentUserId + ")");
-        clearProgress();
-        window.location.href = 'index.html';
+        const recent = await getAttendanceEvents(Date.now() - attendance_setup.cooldownMs);
+        recent.forEach(event => {
+            lastCheckInAt.set(event.userId, event.timestamp);
+            setAttendanceStatus(event.userId, `checked in ${formatCheckInTime(event.timestamp)}`, true);
+        });
     } catch (err) {
-        log.error('Failed to save user profile to IndexedDB.', err);
-        showMessage('error', 'Failed to save user profile.');
+        log.warn('Could not load recent check-ins.', err);
     }
+    updateVerifyProgress();
 }
 
-var vle_distance_rate = 0.3;
+/**
+* Attendance mode: logs a check-in for an accepted face unless that person
+* checked in within attendance_setup.cooldownMs. Unlike faceapi_verify, people
+* stay eligible and the session never completes.
+*/
+async function faceapi_check_in(detection, imageData) {
+    const decision = detection && detection.decision;
+    if (!faceMatcher || !decision || decision.status !== 'accepted' || !decision.match.user) {
+        return;
+    }
+    const match = decision.match;
+    const uid = match.label;
+    const last = lastCheckInAt.get(uid);
+    if (last && Date.now() - last < attendance_setup.cooldownMs) {
+        return;
+    }
+    const { passed, livenessScore, liveness } = checkLivenessGate(uid, detection);
+    if (!passed) {
+        return;
+    }
+    // Claimed before the await below so the next frames do not log it again
+    const timestamp = Date.now();
+    lastCheckInAt.set(uid, timestamp);
+
+    const metadata = await getDeviceMetadata();
+    const event = {
+        userId: uid,
+        name: match.user.name,
+        timestamp,
+        checkedInAt: new Date(timestamp).toISOString(),
+        matchDistance: match.distance,
+        matchThreshold: match.threshold,
+        matchVotes: toMatchVotes(decision),
+        livenessScore,
+        ...(liveness ? { liveness } : {}),
+        capturedImage: attendance_setup.saveImages ? captureAndSaveVerifiedUserImage(imageData, metadata) : null,
+        ...metadata
+    };
+    try {
+        await addAttendanceEvent(event);
+    } catch (err) {
+        log.error('Failed to save check-in.', err);
+        lastCheckInAt.delete(uid);
+        showVerifyToast(`Could not save the check-in of ${match.user.name}.`);
+        return;
+    }
+    attendanceCheckInCount++;
+    setAttendanceStatus(uid, `checked in ${formatCheckInTime(timestamp)}`, true);
+    updateVerifyProgress();
+    showVerifyToast(`${match.user.name} (${uid}) checked in`);
+    log.info(`Check-in logged for ${uid}.`);
+}
 
 /**
-* Threshold used by face-api.js Euclidean distance to decide whether two
-* face descriptors correspond to the same person.
-*
-* A lower value makes the verification stricter (fewer false positives but
-* more false negatives). 0.3 is a commonly used starting point that works
-* well in good lighting conditions. Adjust empirically for your setup.
+* Adds one search or claim verification to the verification history
+* (verification_history.html). A failed write is only logged; the
+* verification itself still counts.
 */
-async function faceapi_verify(descriptor, imageData) {
+async function recordVerificationEvent(event) {
+    if (!verification_history_setup.enabled) return;
+    const timestamp = Date.now();
+    try {
+        await addVerificationEvent({
+            ...event,
+            timestamp,
+            verifiedAt: new Date(timestamp).toISOString(),
+            capturedImage: verification_history_setup.saveImages ? event.capturedImage || null : null,
+        });
+    } catch (err) {
+        log.error('Failed to save verification event.', err);
+    }
+}
+
+async function faceapi_verify(descriptor, imageData, match, detection) {
     if (descriptor && !verificationCompleted && faceMatcher) {
-        const bestMatch = faceMatcher.findBestMatch(descriptor);
+        const decision = detection && detection.decision;
+        if (decision && decision.status !== 'accepted') {
+            // Not enough agreeing frames yet; the label shows "Identifying…"
+            return;
+        }
+        const bestMatch = (decision && decision.match) || match || faceMatcher.findBestMatch(descriptor);
         const uid = bestMatch.label;
 
         // Check if the match is valid (not 'unknown') and not already verified
         if (uid && uid !== 'unknown' && !verifiedUserIds.has(uid)) {
+            const { passed, livenessScore, liveness } = checkLivenessGate(uid, detection);
+            if (!passed) {
+                return;
+            }
             verifiedUserIds.add(uid);
             verifiedCount++;
 
@@ -1318,25 +2757,38 @@ async function faceapi_verify(descriptor, imageData) {
             
             // Update results object
             verificationResults = verificationResults.map(r => 
-                r.id === uid ? { ...r, verified: true, capturedImage, ...metadata } : r
+                r.id === uid ? {
+                    ...r,
+                    verified: true,
+                    capturedImage,
+                    matchDistance: bestMatch.distance,
+                    matchThreshold: bestMatch.threshold,
+                    ...(decision ? { matchVotes: toMatchVotes(decision) } : {}),
+                    livenessScore,
+                    ...(liveness ? { liveness } : {}),
+                    ...metadata
+                } : r
             );
             updateVerificationResultTextarea();
             updateVerifyProgress();
             showVerifyToast(`${userMeta.name} (${userMeta.id}) detected`);
+            recordVerificationEvent({
+                mode: 'search',
+                userId: uid,
+                name: userMeta.name,
+                result: 'accept',
+                matchDistance: bestMatch.distance,
+                matchThreshold: bestMatch.threshold,
+                ...(decision ? { matchVotes: toMatchVotes(decision) } : {}),
+                livenessScore,
+                ...(liveness ? { liveness } : {}),
+                capturedImage,
+                ...metadata
+            });
 
-            // --- OPTIMIZATION ---
-            // Rebuild the FaceMatcher to exclude the newly verified user,
-            // so we don't waste time checking for them in subsequent frames.
-            const remainingLabels = faceMatcher.labeledDescriptors.filter(ld => ld.label !== uid);
-            if (remainingLabels.length > 0) {
-                faceMatcher = new faceapi.FaceMatcher(remainingLabels, vle_distance_rate);
-                log.debug(`User ${uid} verified. Rebuilding matcher with ${remainingLabels.length} users remaining.`);
-            } else {
-                // All users have been verified
-                faceMatcher = null; 
-                log.info("All users have been verified.");
-            }
-            // --- END OPTIMIZATION ---
+            // Verified users stay in the matcher so their box keeps showing their
+            // name; verifiedUserIds stops them from being verified twice.
+            log.debug(`User ${uid} verified. ${totalVerifyFaces - verifiedCount} users remaining.`);
 
             // Check for overall completion
             if (verifiedCount >= totalVerifyFaces) {
@@ -1352,362 +2804,364 @@ async function faceapi_verify(descriptor, imageData) {
     }
 }
 
-function handleWorkerMessage(event) {
-    log.debug(`[Worker] Received message: ${event.data.type}`);
-    switch (event.data.type) {
-        case 'MODELS_LOADED':
-            log.info('[Worker] Models loaded successfully. Starting warmup...');
-            // Models are loaded, now trigger the warmup process.
-            // The UI loader will remain visible until the warmup is also complete.
-            faceapi_warmup();
-            break;
-        case 'DETECTION_RESULT':
-            if (!event.data.data || !event.data.data.detections) {
-                log.warn('[Worker] Received DETECTION_RESULT without detections data. Skipping frame.');
-                isDetectingFrame = false;
-                if (typeof videoDetectionStep === 'function') {
-                    requestAnimationFrame(videoDetectionStep);
-                }
-                break;
-            }
-            const dets = event.data.data.detections[0];
-            const imageDataForFrame = event.data.data.detections[1] && event.data.data.detections[1][0];
-            lastFaceImageData = imageDataForFrame;
-            drawImageDataToCanvas(event.data.data.detections, canvasOutputId);
-            drawAllFaces(Array.isArray(dets) ? dets : []);
-
-            if (Array.isArray(dets) && dets.length > 0) {
-                if (faceapi_action === "verify") {
-                    dets.forEach(d => faceapi_verify(d.descriptor, imageDataForFrame));
-                } else if (faceapi_action === "register") {
-                    if (registrationStartTime === null) {
-                        registrationStartTime = Date.now();
-                        startRegistrationTimer();
-                    }
-                    if (Date.now() - registrationStartTime > registrationTimeout) {
-                        stopRegistrationTimer(true);
-                    } else if (dets.length !== 1) {
-                        showMessage('error', 'Multiple faces detected. Please ensure only your face is visible.');
-                    } else {
-                        const descriptor = dets[0].descriptor;
-                        if (!isCaptureQualityHigh(dets[0])) {
-                            showMessage('error', 'Low-quality capture. Ensure good lighting and face the camera.');
-                        } else if (isDuplicateAcrossUsers(descriptor)) {
-                            showMessage('error', 'This face appears already registered.');
-                        } else if (!isConsistentWithCurrentUser(descriptor)) {
-                            showMessage('error', 'Face angle changed too much. Please turn your head slowly.');
-                        } else {
-                            showMessage('success', 'Face capture accepted.');
-                            if (navigator.vibrate) navigator.vibrate(100);
-                            faceapi_register(descriptor);
-                        }
-                    }
-                }
-            } else {
-                showMessage("error", "No face detected. Make sure your face is fully visible and well lit.");
-            }
+/**
+* Detector options for the next frame: during verification, confirmed tracks
+* are sent as skipDescriptorBoxes so the worker does not re-describe them.
+*/
+function getFrameDetectorOptions() {
+    if (faceapi_action !== "verify" || vle_skip_confirmed_descriptors_yn !== "y") {
+        return face_detector_options_setup;
+    }
+    // Only faces already decided; undecided ones still need fresh votes
+    const skipDescriptorBoxes = faceTracker.getSkipDescriptorBoxes(track =>
+        !verificationPolicy || (track.decision && track.decision.status === 'accepted'));
+    return skipDescriptorBoxes.length
+        ? { ...face_detector_options_setup, skipDescriptorBoxes }
+        : face_detector_options_setup;
+}
 
-            if (typeof vle_face_landmark_position_yn === "string" && vle_face_landmark_position_yn == "y") {
-                if (Array.isArray(dets) && dets.length > 0 && dets[0]) {
-                    draw_face_landmarks(dets[0]);
-                } else {
-                    clear_landmarks();
-                }
-            }
+function closeFaceImage(image) {
+    if (image && typeof image.close === 'function') {
+        image.close();
+    }
+}
 
-            if (multiple_face_detection_yn !== "y" && typeof vle_facebox_yn === "string" && vle_facebox_yn == "y") {
-                if (dets && dets.length > 0 && dets[0] && dets[0].alignedRect && dets[0].alignedRect._box) {
-                    draw_face_box(canvasId3, dets[0].alignedRect._box, dets[0].detection._score);
-                } else {
-                    clear_boxes();
-                }
-            }
+/**
+* Closes the crops of the previous frame once the next one arrives. Everything
+* that paints a crop does so before its frame's handling yields, so only the
+* crop a claim check keeps for its result must survive.
+*/
+function releaseFaceImages(images) {
+    const kept = claimSession ? claimSession.lastImage : null;
+    images.forEach(image => {
+        if (image !== kept) closeFaceImage(image);
+    });
+}
 
-            if (faceapi_action === "register" && Array.isArray(dets) && dets.length > 0 && dets[0]) {
-                drawRegistrationOverlay(dets[0]);
-            }
+function handleDetectionResult(data) {
+    if (!data || !data.detections) {
+        log.warn('[Worker] Received DETECTION_RESULT without detections data. Skipping frame.');
+        return;
+    }
+    inferenceFailureCount = 0;
+    workerTimeoutCount = 0;
+    const dets = data.detections[0];
+    // Crops arrive once, in detection order; each detection gets its own back
+    const faceImages = Array.isArray(data.detections[1]) ? data.detections[1] : [];
+    releaseFaceImages(frameFaceImages);
+    frameFaceImages = faceImages;
+    if (Array.isArray(dets)) {
+        dets.forEach((d, i) => { d.thumbnail = faceImages[i] || null; });
+        faceTracker.update(dets);
+        // Labels and verification use the track's smoothed match, not this frame's alone
+        dets.forEach(d => {
+            const match = matchDetectedFace(d.descriptor);
+            d.frameMatch = match;
+            d.match = d.track ? faceTracker.recordMatch(d.track, match) : match;
+            // N-of-M vote over the face's raw matches; 'identifying' until it is met
+            d.decision = verificationPolicy ? verificationPolicy.decide(d.track ? d.track.history : [match]) : null;
+            if (d.track) d.track.decision = d.decision;
+        });
+    }
+    // The first crop feeds the snapshot canvas
+    const imageDataForFrame = faceImages[0];
+    lastFaceImageData = imageDataForFrame;
+    drawImageDataToCanvas(data.detections, canvasOutputId);
+    drawAllFaces(Array.isArray(dets) ? dets : []);
+
+    if (faceapi_action === "verify") {
+        checkLivenessChallengeTimeout();
+        if (Array.isArray(dets)) {
+            // Scored per track, so the window follows one face across frames
+            dets.forEach(d => {
+                if (d.match && d.match.user && d.trackId) {
+                    d.livenessScore = passiveLiveness.update(d.trackId, d);
+                }
+            });
+        }
+    }
 
-            isDetectingFrame = false;
-            if (typeof videoDetectionStep === 'function') {
-                requestAnimationFrame(videoDetectionStep);
-            }
-            break;
-        case 'WARMUP_RESULT':
-            log.info('[Worker] Warmup completed. Face API is now fully ready.');
-            if (isFaceApiReady) {
-                log.debug('Face API already marked as ready, skipping duplicate warmup completion.');
-                return;
+    if (faceapi_action === "verify" && vle_verify_mode === "claim") {
+        handleClaimDetections(Array.isArray(dets) ? dets : [], imageDataForFrame);
+    } else if (Array.isArray(dets) && dets.length > 0) {
+        if (faceapi_action === "verify") {
+            if (vle_verify_mode === "attendance") {
+                dets.forEach(d => faceapi_check_in(d, d.thumbnail || imageDataForFrame));
+            } else {
+                // Confirmed tracks may come without a descriptor; their last one stands in
+                dets.forEach(d => faceapi_verify(d.descriptor || (d.track && d.track.descriptor), d.thumbnail || imageDataForFrame, d.match, d));
             }
-            isFaceApiReady = true;
-            if (typeof resolveFaceApiReady === 'function') {
-                resolveFaceApiReady();
+        } else if (faceapi_action === "register") {
+            if (registrationStartTime === null) {
+                registrationStartTime = Date.now();
+                startRegistrationTimer();
             }
-
-            // Execute all functions queued for after warmup
-            if (typeof warmup_completed !== 'undefined' && Array.isArray(warmup_completed)) {
-                log.info(`Executing ${warmup_completed.length} post-warmup functions.`);
-                warmup_completed.forEach(fn => {
-                    if (typeof fn === 'function') {
-                        fn();
-                    }
-                });
+            if (Date.now() - registrationStartTime > registrationTimeout) {
+                stopRegistrationTimer(true);
+            } else if (dets.length !== 1) {
+                showMessage('error', 'Multiple faces detected. Please ensure only your face is visible.');
             } else {
-                // Fallback for pages without a queue
-                hideLoadingOverlay();
+                const descriptor = dets[0].descriptor;
+                const pose = classifyPose(dets[0]);
+                const quality = assessCaptureQuality(dets[0]);
+                if (!quality.passed) {
+                    showMessage('error', FaceQuality.MESSAGES[quality.failed]);
+                } else if (isDuplicateAcrossUsers(descriptor)) {
+                    showMessage('error', 'This face appears already registered.');
+                } else if (!isConsistentWithCurrentUser(descriptor, pose)) {
+                    showMessage('error', 'Face angle changed too much. Please turn your head slowly.');
+                } else if (faceapi_register(descriptor, pose, FaceQuality.summarize(quality))) {
+                    if (!registrationCompleted) {
+                        showMessage('success', 'Face capture accepted.');
+                    }
+                    if (navigator.vibrate) navigator.vibrate(100);
+                } else if (nextPoseStep()) {
+                    showMessage('success', `${nextPoseStep().prompt}.`);
+                }
             }
-            break;
-        default:
-            log.warn(`[Worker] Received unknown message type: ${event.data.type}`);
+        }
+    } else {
+        showMessage("error", "No face detected. Make sure your face is fully visible and well lit.");
     }
-}
 
-async function initWorkerAddEventListener() {
-    const messageHandler = (event) => {
-        // Don't handle PONG messages here, they are for the health check promise
-        if (event.data.type === 'PONG') {
-            if (healthCheckResolver) {
-                healthCheckResolver.resolve("ok");
-                healthCheckResolver = null;
-            }
-            return;
+    if (typeof vle_face_landmark_position_yn === "string" && vle_face_landmark_position_yn == "y") {
+        if (Array.isArray(dets) && dets.length > 0 && dets[0]) {
+            draw_face_landmarks(dets[0]);
+        } else {
+            clear_landmarks();
         }
-        handleWorkerMessage(event);
-    };
+    }
 
-    // Ensure we don't add duplicate listeners
-    navigator.serviceWorker.removeEventListener('message', messageHandler);
-    navigator.serviceWorker.addEventListener('message', messageHandler);
-}
+    if (multiple_face_detection_yn !== "y" && typeof vle_facebox_yn === "string" && vle_facebox_yn == "y") {
+        if (dets && dets.length > 0 && dets[0] && dets[0].alignedRect && dets[0].alignedRect._box) {
+            draw_face_box(canvasId3, dets[0].alignedRect._box, dets[0].detection._score);
+        } else {
+            clear_boxes();
+        }
+    }
 
-async function workerRegistration() {
-	if (!('serviceWorker' in navigator)) {
-		log.error('Service workers are not supported in this browser.');
-		return;
-	}
-	
-	// Ensure the scope of the SW covers the current page (script directory by default)
-	const swScope = './js/';
-	
-	// Attempt to find an existing registration for our SW file within scope
-	const registrations = await navigator.serviceWorker.getRegistrations();
-	let registration = registrations.find(reg => reg.active && reg.active.scriptURL.endsWith(serviceWorkerFileName));
-	
-	if (!registration) {
-		log.info('No active service worker found. Registering a new one.');
-		try {
-			registration = await navigator.serviceWorker.register(serviceWorkerFilePath, { scope: swScope });
-		} catch (err) {
-			log.error('Service worker registration failed:', err);
-			throw err;
-		}
-	}
-	
-	// Wait until the service worker is activated. Avoid using navigator.serviceWorker.ready
-	if (!registration.active) {
-		log.info('Waiting for service worker to activate...');
-		
-		await new Promise(resolve => {
-			// If there is an installing worker listen for state changes
-			const installingWorker = registration.installing || registration.waiting;
-			if (!installingWorker) {
-				// No worker yet (very unlikely) – resolve immediately
-				return resolve();
-			}
-			
-			if (installingWorker.state === 'activated') {
-				return resolve();
-			}
-			
-			installingWorker.addEventListener('statechange', evt => {
-				if (evt.target.state === 'activated') {
-					resolve();
-				}
-			});
-		});
-	}
-	
-	// After activation grab the worker reference
-	worker = registration.active || registration.waiting || registration.installing;
-	return worker;
+    if (faceapi_action === "register" && Array.isArray(dets) && dets.length > 0 && dets[0]) {
+        drawRegistrationOverlay(dets[0]);
+    }
 }
 
-function delay(ms) {
-	return new Promise(resolve => setTimeout(resolve, ms));
+// Listener for every message FaceEngine receives. Replies are consumed by the
+// awaiting FaceEngine call; this only surfaces worker-level problems.
+function handleWorkerMessage(message) {
+    log.debug(`[Worker] Received message: ${message.type}`);
+    switch (message.type) {
+        case 'MODELS_LOADED':
+        case 'DETECTION_RESULT':
+        case 'WARMUP_RESULT':
+        case 'PONG':
+            break;
+        case 'ERROR':
+            handleWorkerError(message);
+            break;
+        case 'WORKER_ERROR':
+            log.error("Web Worker error:", message.details);
+            hideLoadingOverlay();
+            showMessage('error', 'An error occurred with the Web Worker.');
+            break;
+        default:
+            log.warn(`[Worker] Received unknown message type: ${message.type}`);
+    }
 }
 
-async function load_model() {
-	if (!worker) {
-		// Ensure we have a reference – this should usually not happen because
-		// initWorker already awaited workerRegistration(), but keep it as a
-		// safeguard.
-		await workerRegistration();
-	}
-	
-	if (worker) {
-		if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-			navigator.serviceWorker.controller.postMessage({ type: 'LOAD_MODELS' });
-		} else if (worker && typeof worker.postMessage === 'function') {
-			worker.postMessage({ type: 'LOAD_MODELS' });
-		}
-	} else {
-		log.error('Unable to post message to worker, worker reference is undefined.');
-	}
+// Recovery from structured worker errors. Only one recovery runs at a time so
+// the errors of frames already in flight do not pile up restarts.
+var workerRecovery = null;
+var inferenceFailureCount = 0;
+var maxInferenceFailures = 3;      // consecutive failures before switching backend
+var modelReloadAttempts = 0;
+var maxModelReloadAttempts = 2;
+var workerTimeoutCount = 0;
+var maxWorkerTimeouts = 2;          // timeouts in a row before switching backend
+
+function recoverWorker(recoveryFn) {
+    if (workerRecovery) return workerRecovery;
+    workerRecovery = recoveryFn()
+        .catch(err => {
+            log.error('Worker recovery failed:', err);
+            hideLoadingOverlay();
+            showMessage('error', 'Face detection is unavailable. Please reload the page.');
+        })
+        .finally(() => {
+            workerRecovery = null;
+        });
+    return workerRecovery;
 }
 
-async function initWorker() {
-	if ('serviceWorker' in navigator) {
-		try {
-			// Optionally uncomment if needed
-			// await unregisterAllServiceWorker();
-			
-			log.info("Initializing Service Worker...");
-			await workerRegistration(); // Wait for worker registration
-			
-			log.info("Attaching event listeners...");
-			await initWorkerAddEventListener(); // Wait for event listeners to be added
-			
-			log.info("Pausing for 500ms to ensure worker is ready...");
-			await delay(500); // Wait for 1 second to give the service worker some time to activate. If not, when the service worker is created for the first time, posting a message will cause an error and stop everything.
-			
-			log.info("Requesting model load...");
-			await load_model(); // Wait for the model to load
-			
-			isWorkerReady = true; // Set the worker as ready
-			log.info("Service Worker setup complete. Waiting for model and warmup confirmation from worker...");
-		} catch (error) {
-			log.error("Error initializing Service Worker:", error);
-			hideLoadingOverlay(); // Hide loader on failure
-		}
-	} else {
-		log.error('Service workers are not supported in this browser.');
-	}
+async function reloadModels() {
+    modelReloadAttempts++;
+    if (modelReloadAttempts > maxModelReloadAttempts) {
+        throw new Error(`Models still not loaded after ${maxModelReloadAttempts} attempts`);
+    }
+    await FaceEngine.loadModels(face_detector_options_setup);
+    modelReloadAttempts = 0;
+    log.info('[Worker] Models reloaded.');
+}
+
+async function fallBackToWebWorker() {
+    await FaceEngine.fallbackToWebWorker();
+    inferenceFailureCount = 0;
+    workerTimeoutCount = 0;
+    if (isFaceApiReady) {
+        // Mid-session: the detection loop keeps running once models are back
+        await FaceEngine.loadModels(face_detector_options_setup);
+    } else {
+        isWorkerReady = false;
+        await initFaceApi();
+    }
 }
 
-
-function faceapi_warmup() {
-	var img_face_for_loading = imgFaceFilePathForWarmup;
-	if (img_face_for_loading) {
-		var img = new Image();
-		img.src = img_face_for_loading;
-		img.onload = () => {
-			
-			// Create the canvas element
-			let canvas_hidden = document.createElement('canvas');
-			canvas_hidden.willReadFrequently = true;
-			canvas_hidden.style.display = 'none'; // Hide the canvas
-			document.body.appendChild(canvas_hidden); // Append to the body
-			let context = canvas_hidden.getContext("2d");
-			
-			canvas_hidden.width = img.width;
-			canvas_hidden.height = img.height;
-			context.drawImage(img, 0, 0, img.width, img.height);
-			var imageData = context.getImageData(0, 0, img.width, img.height);
-			if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-				navigator.serviceWorker.controller.postMessage({
-					type: 'WARMUP_FACES',
-					imageData,
-					width: img.width,
-					height: img.height
-				});
-			} else if (worker && typeof worker.postMessage === 'function') {
-				worker.postMessage({
-					type: 'WARMUP_FACES',
-					imageData,
-					width: img.width,
-					height: img.height
-				});
-			}
-			canvas_hidden.remove();
-		};
-	}
+// The worker stopped answering: it hung, or the browser stopped an idle Service
+// Worker mid-request. Start a new one; on repeated timeouts use the fallback.
+async function restartWorker() {
+    workerTimeoutCount++;
+    if (workerTimeoutCount >= maxWorkerTimeouts) {
+        if (FaceEngine.backend !== 'service-worker') {
+            throw new Error(`Worker still not answering after ${workerTimeoutCount} timeouts`);
+        }
+        await fallBackToWebWorker();
+        return;
+    }
+    FaceEngine.dispose();
+    if (isFaceApiReady) {
+        await FaceEngine.loadModels(face_detector_options_setup);
+    } else {
+        isWorkerReady = false;
+        // Not awaited: it only settles once warmup completes, and another
+        // timeout on the way there has to be able to start the next recovery
+        initFaceApi();
+    }
 }
 
-// Initialize the Web Worker fallback
-async function startWebWorker() {
-    log.info("Falling back to Web Worker.");
-    showLoadingOverlay();
-
-    if (window.Worker) {
-        worker = new Worker('./js/faceDetectionWebWorker.js');
-
-        // Listen for messages from the Web Worker
-        worker.onmessage = (event) => {
-            // Use the same event listener logic as the Service Worker
-            handleWorkerMessage(event);
-        };
-
-        worker.onerror = (error) => {
-            log.error("Web Worker error:", error);
-            hideLoadingOverlay();
-            showMessage('error', 'An error occurred with the Web Worker.');
-        };
-
-        // Start loading models in the Web Worker
-        worker.postMessage({ type: 'LOAD_MODELS' });
+// The selected detector or landmark weights are missing (they are not bundled);
+// carry on with the defaults rather than leaving the page without detection.
+async function fallBackToDefaultModels(defaults) {
+    Object.assign(face_detector_options_setup, defaults);
+    if (isFaceApiReady) {
+        await FaceEngine.loadModels(face_detector_options_setup);
     } else {
-        log.error("Web Workers are not supported in this browser.");
-        hideLoadingOverlay();
-        showMessage('error', 'Face detection is not supported on this browser.');
+        isWorkerReady = false;
+        await initFaceApi();
     }
 }
 
-// Worker health check and re-initialization
-async function checkWorkerHealth() {
-    if (!worker && !(navigator.serviceWorker && navigator.serviceWorker.controller)) {
-        log.warn("Worker not available for health check.");
-        return Promise.reject("No worker");
+/**
+* Switches the face detector without reloading the page. The worker downloads
+* the detector's weights on first use; the detection loop picks the new options
+* up on its next frame. If loading fails the current detector stays active.
+* @param {string} detector - 'tiny', 'ssd' or 'mtcnn'.
+* @param {Object} [options] - Detector options to merge, e.g. { minConfidence: 0.6 } for 'ssd'.
+*/
+async function setFaceDetector(detector, options = {}) {
+    const nextOptions = Object.assign({}, face_detector_options_setup, options, { detector });
+    await FaceEngine.loadModels(nextOptions);
+    face_detector_options_setup = nextOptions;
+    log.info(`Face detector switched to '${detector}'.`);
+}
+
+function handleWorkerError(message) {
+    const { code, requestType, details } = message;
+    log.error(`[Worker] ${code} while handling ${requestType}: ${message.message}`, details);
+    switch (code) {
+        case 'MODELS_NOT_LOADED':
+            // The worker was restarted (e.g. an idle Service Worker was stopped) and lost its models
+            showMessage('error', 'Face models are reloading, please wait...');
+            recoverWorker(reloadModels);
+            break;
+        case 'MODEL_FETCH_FAILED':
+            if (details && details.detector && details.detector !== 'tiny') {
+                // Switching backend would not help: the weights are simply not in models/
+                showMessage('error', `The '${details.detector}' detector is not available, using the default detector.`);
+                if (face_detector_options_setup.detector === details.detector) {
+                    recoverWorker(() => fallBackToDefaultModels({ detector: 'tiny' }));
+                }
+            } else if (details && details.landmarkModel === 'tiny') {
+                log.warn('Tiny landmark model unavailable, using the full landmark model.');
+                if (face_detector_options_setup.landmarkModel === 'tiny') {
+                    recoverWorker(() => fallBackToDefaultModels({ landmarkModel: 'full' }));
+                }
+            } else if (FaceEngine.backend === 'service-worker') {
+                showMessage('error', 'Model download failed, switching to the fallback worker...');
+                recoverWorker(fallBackToWebWorker);
+            } else {
+                hideLoadingOverlay();
+                showMessage('error', 'Unable to download face models. Check your connection and reload the page.');
+            }
+            break;
+        case 'INVALID_OPTIONS':
+            showMessage('error', message.message);
+            break;
+        case 'TIMEOUT':
+            // No reply within FaceEngine's detectTimeout, warmupTimeout or loadModelsTimeout
+            showMessage('error', 'Face detection stopped responding, restarting it...');
+            recoverWorker(restartWorker);
+            break;
+        case 'INVALID_DIMENSIONS':
+            // The camera has not reported its frame size yet; this frame is skipped.
+            log.debug('Skipped a frame with invalid dimensions.', details);
+            break;
+        case 'INFERENCE_FAILED':
+            inferenceFailureCount++;
+            if (inferenceFailureCount >= maxInferenceFailures && FaceEngine.backend === 'service-worker') {
+                showMessage('error', 'Face detection keeps failing, switching to the fallback worker...');
+                recoverWorker(fallBackToWebWorker);
+            } else {
+                showMessage('error', 'Face detection failed on this frame. Retrying...');
+            }
+            break;
+        default:
+            showMessage('error', message.message || 'Face detection error.');
     }
+}
+
+// Not loaded on the pages without a camera
+if (typeof FaceEngine !== 'undefined') {
+    FaceEngine.onMessage(handleWorkerMessage);
+}
 
-    // Prevent overlapping health checks
-    if (healthCheckResolver) {
-        log.warn("Health check already in progress.");
-        return Promise.reject("in-progress");
+function onWarmupCompleted() {
+    log.info('[Worker] Warmup completed. Face API is now fully ready.');
+    if (isFaceApiReady) {
+        log.debug('Face API already marked as ready, skipping duplicate warmup completion.');
+        return;
+    }
+    isFaceApiReady = true;
+    if (typeof resolveFaceApiReady === 'function') {
+        resolveFaceApiReady();
     }
 
-    return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-            healthCheckResolver = null; // Clean up resolver on timeout
-            reject("timeout");
-        }, 2000);
-
-        // Store the resolver functions to be called by the main message handler
-        healthCheckResolver = {
-            resolve: (value) => {
-                clearTimeout(timeout);
-                resolve(value);
-            },
-            reject: (reason) => {
-                clearTimeout(timeout);
-                reject(reason);
+    // Execute all functions queued for after warmup
+    if (typeof warmup_completed !== 'undefined' && Array.isArray(warmup_completed)) {
+        log.info(`Executing ${warmup_completed.length} post-warmup functions.`);
+        warmup_completed.forEach(fn => {
+            if (typeof fn === 'function') {
+                fn();
             }
-        };
+        });
+    } else {
+        // Fallback for pages without a queue
+        hideLoadingOverlay();
+    }
+}
 
-        // Send the PING
-        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({ type: 'PING' });
-        } else if (worker && typeof worker.postMessage === 'function') {
-            worker.postMessage({ type: 'PING' });
-        } else {
-            // If we can't send a ping, fail immediately
-            clearTimeout(timeout);
-            healthCheckResolver = null;
-            reject("No worker to ping");
-        }
-    });
+async function faceapi_warmup() {
+    await FaceEngine.warmup(imgFaceFilePathForWarmup, face_detector_options_setup);
+    onWarmupCompleted();
 }
 
 document.addEventListener('visibilitychange', async () => {
     if (document.visibilityState === 'visible' && isFaceApiReady) {
         log.info("Tab is visible again. Checking worker health...");
         try {
-            await checkWorkerHealth();
+            await FaceEngine.ping();
             log.info("Worker is healthy.");
         } catch (error) {
-            if (error === 'in-progress') {
-                log.info("Health check skipped, one is already running.");
-                return;
-            }
-            log.warn(`Worker health check failed (${error}). Re-initializing Face API...`);
+            log.warn(`Worker health check failed (${error.code || error}). Re-initializing Face API...`);
+            FaceEngine.dispose();
             isWorkerReady = false;
             isFaceApiReady = false;
             // Re-create the promise for the new initialization cycle
@@ -1725,37 +3179,99 @@ async function initFaceApi() {
         log.info("Face API initialization already in progress.");
         return faceApiReadyPromise;
     }
+    isWorkerReady = true;
     log.info("Initializing Face API...");
+    // Before the first LOAD_MODELS so low-end devices never download the full landmark net
     showLoadingOverlay();
+    await adjustDetectionForDevice();
 
-    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
-    const swSupported = 'serviceWorker' in navigator;
-    const offscreenSupported = typeof OffscreenCanvas !== 'undefined';
-
-    // Prefer Service Worker, but have a robust fallback
-    if (swSupported && offscreenSupported && !isIOS) {
-        log.info("Browser supports Service Worker and OffscreenCanvas. Attempting to initialize.");
-        try {
-            await initWorker();
-        } catch (error) {
-            log.error("Service Worker initialization failed. Falling back to Web Worker.", error);
-            await startWebWorker();
+    try {
+        const backend = await FaceEngine.loadModels(face_detector_options_setup);
+        log.info(`[Worker] Models loaded successfully (${backend}). Starting warmup...`);
+        // The UI loader remains visible until the warmup is also complete.
+        await faceapi_warmup();
+    } catch (error) {
+        if (error instanceof FaceEngineError) {
+            // handleWorkerMessage has already surfaced it; a running recovery
+            // re-enters initFaceApi itself, so only reset when there is none.
+            if (!workerRecovery) isWorkerReady = false;
+            log.warn(`Face API initialization interrupted (${error.code}).`);
+        } else {
+            isWorkerReady = false;
+            log.error("Face API initialization failed:", error);
+            hideLoadingOverlay();
+            showMessage('error', 'Face detection could not be started in this browser.');
         }
-    } else {
-        let reason = !swSupported ? "ServiceWorker not supported" :
-                     !offscreenSupported ? "OffscreenCanvas not supported" :
-                     "iOS detected";
-        log.warn(`Compatibility check failed: ${reason}. Forcing Web Worker fallback.`);
-        await startWebWorker();
     }
     return faceApiReadyPromise;
 }
 
 // Initialize either service worker or fallback to web worker
+/**
+* Loads the registered profiles into face_verify.html and sets up the mode
+* from the query string (`?mode=claim|attendance`).
+*/
+async function setupVerifyPage() {
+    let users;
+    try {
+        await initDB();
+        users = await getAllUsers();
+    } catch (err) {
+        showTemplateLoadError(err, setupVerifyPage);
+        return;
+    }
+    registeredUsers = users;
+    initializeFaceMatcher(users);
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('mode') === 'claim' || params.get('mode') === 'attendance') {
+        vle_verify_mode = params.get('mode');
+    }
+    if (vle_verify_mode === 'claim') {
+        setupClaimMode(params.get('id'));
+    }
+
+    const listEl = vle_verify_mode === 'claim' ? null : document.getElementById('verifyPersonList');
+    if (listEl) {
+        listEl.innerHTML = '';
+        registeredUsers.forEach(u => {
+            const li = document.createElement('li');
+            li.dataset.userId = u.id;
+            const name = u.name || 'Unknown';
+            li.innerHTML = `${name} (${u.id}) – <span class="status">pending</span>`;
+            listEl.appendChild(li);
+        });
+    }
+
+    verificationResults = registeredUsers.map(u => ({
+        id: u.id,
+        name: u.name,
+        verified: false,
+        capturedImage: null,
+        utcTime: null,
+        timeZone: null,
+        timeZoneOffset: null,
+        gps: null,
+        device: null,
+        deviceName: null,
+        deviceModel: null,
+        deviceUserAgent: null
+    }));
+    updateVerificationResultTextarea();
+
+    totalVerifyFaces = registeredUsers.length;
+    verifiedCount = 0;
+    verifiedUserIds = new Set();
+    updateVerifyProgress();
+    if (vle_verify_mode === 'attendance') {
+        await setupAttendanceMode();
+    }
+}
+
 document.addEventListener("DOMContentLoaded", async function(event) {
     // On pages that need face-api, we call initFaceApi and wait for it to complete.
     // On index.html, it's called but we don't wait, allowing it to load in the background.
-    if (window.location.pathname.endsWith('face_register.html') || window.location.pathname.endsWith('face_verify.html') || window.location.pathname.endsWith('profile_management.html')) {
+    if (window.location.pathname.endsWith('face_register.html') || window.location.pathname.endsWith('face_verify.html')) {
         try {
             await initFaceApi();
             log.info("Face API is ready, proceeding with page-specific setup.");
@@ -1766,43 +3282,14 @@ document.addEventListener("DOMContentLoaded", async function(event) {
     }
     
     if (window.location.pathname.endsWith('face_verify.html')) {
-        await initDB();
-        const users = await getAllUsers();
-        registeredUsers = users;
-        initializeFaceMatcher(users);
-        
-        const listEl = document.getElementById('verifyPersonList');
-        if (listEl) {
-            listEl.innerHTML = '';
-            registeredUsers.forEach(u => {
-                const li = document.createElement('li');
-                li.dataset.userId = u.id;
-                const name = u.name || 'Unknown';
-                li.innerHTML = `${name} (${u.id}) – <span class="status">pending</span>`;
-                listEl.appendChild(li);
-            });
-        }
+        await setupVerifyPage();
+    }
 
-        verificationResults = registeredUsers.map(u => ({
-            id: u.id,
-            name: u.name,
-            verified: false,
-            capturedImage: null,
-            utcTime: null,
-            timeZone: null,
-            timeZoneOffset: null,
-            gps: null,
-            device: null,
-            deviceName: null,
-            deviceModel: null,
-            deviceUserAgent: null
-        }));
-        updateVerificationResultTextarea();
-
-        totalVerifyFaces = registeredUsers.length;
-        verifiedCount = 0;
-        verifiedUserIds = new Set();
-        updateVerifyProgress();
+    if (window.location.pathname.endsWith('face_register.html')) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('reenroll')) {
+            await setupReenrollment(params.get('reenroll'), params.get('mode'));
+        }
     }
 
 	clearProgress();
@@ -1810,8 +3297,6 @@ document.addEventListener("DOMContentLoaded", async function(event) {
     if (!window.location.pathname.endsWith('face_register.html')) {
         loadProgress();
     }
-	adjustDetectionForDevice();
-	
 	// Add ResizeObserver to keep canvas overlays aligned with the video
     const video = document.getElementById(videoId);
     if (video) {
@@ -1840,7 +3325,7 @@ document.addEventListener("DOMContentLoaded", async function(event) {
 
 	const startBtn = document.getElementById('startBtn');
     if (startBtn) {
-        startBtn.addEventListener('click', () => {
+        startBtn.addEventListener('click', async () => {
             currentUserId = document.getElementById('userIdInput').value.trim();
             currentUserName = document.getElementById('userNameInput').value.trim();
 
@@ -1848,6 +3333,14 @@ document.addEventListener("DOMContentLoaded", async function(event) {
                 alert('User ID and User Name cannot be empty.');
                 return;
             }
+            // Registering a taken ID re-enrolls that profile instead of overwriting it
+            if (!reenrollSession) {
+                const profiles = await getUserProfiles();
+                if (profiles.some(u => u.id === currentUserId)) {
+                    if (!confirm(`A profile with ID ${currentUserId} already exists. Re-enroll it with new captures? Its current template is kept for rollback.`)) return;
+                    if (!await setupReenrollment(currentUserId, 'replace')) return;
+                }
+            }
 
             document.getElementById('registrationForm').style.display = 'none';
             document.getElementById('captureProgress').style.display = 'block';
@@ -1869,6 +3362,8 @@ document.addEventListener("DOMContentLoaded", async function(event) {
 	const verifyCancel = document.getElementById('verifyCancelBtn');
 	if (verifyRestart) verifyRestart.addEventListener('click', restartVerification);
 	if (verifyCancel) verifyCancel.addEventListener('click', cancelVerification);
+	const verifyDownload = document.getElementById('verifyDownloadBtn');
+	if (verifyDownload) verifyDownload.addEventListener('click', downloadVerificationResults);
 	
 	const verifyContainer = document.getElementById('verifyProgressContainer');
 	if (verifyContainer) {
@@ -2026,17 +3521,15 @@ function drawAllBoxesAndLabels(detectionsArray) {
 		if (confidence >= 0.8) boxColor = 'green'; else if (confidence >= 0.5) boxColor = 'yellow';
 		ctx.beginPath(); ctx.rect(mx, my, box._width, box._height);
 		ctx.lineWidth = 3; ctx.strokeStyle = boxColor; ctx.stroke();
-		// Match user for label
-		let matchedUser = { name: 'Unknown', id: 'Unknown' };
-		let minDist = Infinity;
-		flatRegisteredDescriptors.forEach((ref, idx) => {
-			const dist = faceapi.euclideanDistance(det.descriptor, ref);
-			if (dist < minDist && dist < vle_distance_rate) {
-				minDist = dist;
-				matchedUser = flatRegisteredUserMeta[idx];
-			}
-		});
-		const labelText = `${matchedUser.name} (${matchedUser.id})`;
+		// Label with the same match result verification used
+		const match = det.match !== undefined ? det.match : matchDetectedFace(det.descriptor);
+		const matchedUser = match && match.user ? match.user : { name: 'Unknown', id: 'Unknown' };
+		let labelText = `${matchedUser.name} (${matchedUser.id})`;
+		// A name is only shown once the track settled on it or the vote accepted it
+		const decided = (det.track && det.track.confirmed) || (det.decision && det.decision.status === 'accepted');
+		if (det.decision && match && match.user && !decided) {
+			labelText = `Identifying… ${det.decision.votes}/${det.decision.votesRequired}`;
+		}
 		ctx.font = '16px Arial';
 		ctx.fillStyle = boxColor;
 		ctx.textAlign = 'left';
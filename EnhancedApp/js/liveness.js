@@ -0,0 +1,367 @@
+/**
+* liveness.js
+* -----------
+* Liveness checks built on the landmark measurements in faceGeometry.js.
+*
+* LivenessChallenge asks the person in front of the camera to do one random
+* thing – blink, turn left, turn right or open the mouth – and watches the
+* following frames for it:
+*
+*   const challenge = new LivenessChallenge({ timeoutMs: 8000 });
+*   showVerifyToast(challenge.prompt);
+*   // for every frame of the same face:
+*   const status = challenge.update(detection); // 'pending' | 'passed' | 'failed'
+*
+* The first frames set a baseline (eye openness, head yaw, mouth opening), so
+* the check is relative to the person's own resting face. A printed photo or a
+* still phone screen never produces the change and fails on timeout.
+*/
+const LIVENESS_CHALLENGES = {
+	blink: 'Please blink',
+	turn_left: 'Please turn your head to the left',
+	turn_right: 'Please turn your head to the right',
+	open_mouth: 'Please open your mouth',
+};
+
+class LivenessChallenge {
+	/**
+	* @param {Object} [options]
+	* @param {string} [options.type] - One of LIVENESS_CHALLENGES; random when omitted.
+	* @param {number} [options.timeoutMs=8000] - Time allowed to complete the challenge.
+	* @param {number} [options.baselineFrames=3] - Frames averaged for the resting face.
+	* @param {number} [options.turnDegrees=20] - Yaw change needed for a head turn.
+	*/
+	constructor(options = {}) {
+		const types = Object.keys(LIVENESS_CHALLENGES);
+		this.type = options.type || types[Math.floor(Math.random() * types.length)];
+		if (!LIVENESS_CHALLENGES[this.type]) {
+			throw new Error(`Unknown liveness challenge "${this.type}"`);
+		}
+		this.timeoutMs = options.timeoutMs || 8000;
+		this.baselineFrames = options.baselineFrames || 3;
+		this.turnDegrees = options.turnDegrees || 20;
+		this.startedAt = Date.now();
+		this.finishedAt = null;
+		this.status = 'pending';
+		this.reason = null;
+		this.samples = [];
+		this.baseline = null;
+		this.eyesClosed = false;
+	}
+
+	static average(values) {
+		return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+	}
+
+	get prompt() {
+		return LIVENESS_CHALLENGES[this.type];
+	}
+
+	get remainingMs() {
+		return Math.max(0, this.startedAt + this.timeoutMs - Date.now());
+	}
+
+	/**
+	* Fails the challenge once its time is up. Call it even on frames where the
+	* face is missing, so looking away cannot keep a challenge open forever.
+	* @returns {string} The current status.
+	*/
+	checkTimeout() {
+		if (this.status === 'pending' && this.remainingMs === 0) {
+			this.finish('failed', 'timeout');
+		}
+		return this.status;
+	}
+
+	/**
+	* Feeds one detection of the challenged face.
+	* @param {Object} detection - Detection with landmarks from DETECTION_RESULT.
+	* @returns {string} 'pending', 'passed' or 'failed'.
+	*/
+	update(detection) {
+		if (this.checkTimeout() !== 'pending') {
+			return this.status;
+		}
+		const points = FaceGeometry.getPoints(detection);
+		if (!points) {
+			return this.status;
+		}
+		const sample = {
+			ear: FaceGeometry.eyeAspectRatio(points),
+			mar: FaceGeometry.mouthAspectRatio(points),
+			yaw: FaceGeometry.estimatePose(points).yaw,
+		};
+
+		if (!this.baseline) {
+			this.samples.push(sample);
+			if (this.samples.length >= this.baselineFrames) {
+				this.baseline = {
+					ear: LivenessChallenge.average(this.samples.map(s => s.ear)),
+					mar: LivenessChallenge.average(this.samples.map(s => s.mar)),
+					yaw: LivenessChallenge.average(this.samples.map(s => s.yaw)),
+				};
+			}
+			return this.status;
+		}
+
+		if (this.isCompletedBy(sample)) {
+			this.finish('passed', null);
+		}
+		return this.status;
+	}
+
+	isCompletedBy(sample) {
+		const baseline = this.baseline;
+		switch (this.type) {
+			case 'blink':
+				// Eyes must close and open again; a photo with closed eyes does not pass
+				if (sample.ear < Math.min(0.2, baseline.ear * 0.7)) {
+					this.eyesClosed = true;
+					return false;
+				}
+				return this.eyesClosed && sample.ear > baseline.ear * 0.85;
+			case 'turn_left':
+				return sample.yaw - baseline.yaw > this.turnDegrees;
+			case 'turn_right':
+				return baseline.yaw - sample.yaw > this.turnDegrees;
+			case 'open_mouth':
+				return sample.mar > Math.max(0.5, baseline.mar + 0.3);
+			default:
+				return false;
+		}
+	}
+
+	finish(status, reason) {
+		this.status = status;
+		this.reason = reason;
+		this.finishedAt = Date.now();
+	}
+
+	/**
+	* Summary stored in verificationResults.
+	*/
+	toResult() {
+		return {
+			challenge: this.type,
+			passed: this.status === 'passed',
+			reason: this.reason,
+			durationMs: (this.finishedAt || Date.now()) - this.startedAt,
+			completedAt: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+		};
+	}
+}
+
+/**
+* PassiveLivenessScorer keeps a sliding window of recent detections per face
+* and turns it into a `livenessScore` between 0 (likely a photo or screen) and
+* 1 (likely a live person), without asking anything of the user:
+*
+*   const scorer = new PassiveLivenessScorer();
+*   // for every detection of a face, keyed by whatever identifies that face:
+*   const score = scorer.update(key, detection); // null until enough frames
+*
+* Signals, each scored 0..1 and combined with SIGNAL_WEIGHTS:
+*   • motion  – landmark micro-motion relative to the face box. A live face
+*               keeps changing shape slightly; a photo only moves rigidly.
+*   • box     – movement of the face box itself. A photo on a stand sits still
+*               to the pixel; nobody holds their head that still.
+*   • texture – moiré and screen glare in the face crop: strong pixel-level
+*               periodic detail and clipped highlights.
+*   • border  – a uniform ring around the face, like a phone bezel or paper edge.
+*
+* These are heuristics: the reference values in DEFAULT_PASSIVE_OPTIONS are
+* starting points to tune per camera and lighting, not calibrated thresholds.
+*/
+const DEFAULT_PASSIVE_OPTIONS = {
+	windowSize: 15,        // detections kept per face
+	minFrames: 8,          // detections needed before a score is given
+	staleAfterMs: 2000,    // forget faces not seen for this long
+	motionReference: 0.006, // mean landmark shape change that scores 1
+	boxReference: 0.01,    // box jitter (fraction of its width) that scores 1
+	glareLimit: 0.05,      // share of clipped pixels that scores 0
+	moireLimit: 1.4,       // second/first difference energy ratio that scores 0
+	borderReference: 15,   // luminance std-dev of the crop's outer ring that scores 1
+};
+
+const SIGNAL_WEIGHTS = { motion: 0.35, box: 0.25, texture: 0.25, border: 0.15 };
+
+class PassiveLivenessScorer {
+	constructor(options = {}) {
+		this.options = Object.assign({}, DEFAULT_PASSIVE_OPTIONS, options);
+		this.tracks = new Map();
+		this.textureCanvas = null;
+	}
+
+	/**
+	* Adds one detection of the face identified by `key`.
+	* @param {string} key - Stable identity of the face across frames.
+	* @param {Object} detection - Detection from DETECTION_RESULT, optionally with `thumbnail`.
+	* @returns {number|null} The face's livenessScore, or null while the window fills.
+	*/
+	update(key, detection) {
+		const now = Date.now();
+		this.prune(now);
+		const sample = this.toSample(detection);
+		if (!sample) {
+			return this.getScore(key);
+		}
+		let track = this.tracks.get(key);
+		if (!track) {
+			track = { samples: [], lastSeen: now, score: null, signals: null };
+			this.tracks.set(key, track);
+		}
+		track.lastSeen = now;
+		track.samples.push(sample);
+		if (track.samples.length > this.options.windowSize) {
+			track.samples.shift();
+		}
+		if (track.samples.length >= this.options.minFrames) {
+			track.signals = this.scoreSignals(track.samples);
+			track.score = Object.keys(SIGNAL_WEIGHTS)
+				.reduce((sum, name) => sum + SIGNAL_WEIGHTS[name] * track.signals[name], 0);
+		}
+		return track.score;
+	}
+
+	getScore(key) {
+		const track = this.tracks.get(key);
+		return track ? track.score : null;
+	}
+
+	/**
+	* Per-signal breakdown of the last score, for logging and tuning.
+	*/
+	getSignals(key) {
+		const track = this.tracks.get(key);
+		return track ? track.signals : null;
+	}
+
+	reset() {
+		this.tracks.clear();
+	}
+
+	prune(now) {
+		this.tracks.forEach((track, key) => {
+			if (now - track.lastSeen > this.options.staleAfterMs) {
+				this.tracks.delete(key);
+			}
+		});
+	}
+
+	toSample(detection) {
+		const points = FaceGeometry.getPoints(detection);
+		const rect = detection && detection.alignedRect;
+		const box = rect && (rect._box || rect.box);
+		if (!points || !box) {
+			return null;
+		}
+		const x = box._x !== undefined ? box._x : box.x;
+		const y = box._y !== undefined ? box._y : box.y;
+		const width = box._width !== undefined ? box._width : box.width;
+		const height = box._height !== undefined ? box._height : box.height;
+		if (!width || !height) {
+			return null;
+		}
+		return {
+			box: { x, y, width, height },
+			// Landmarks relative to the box, so moving the whole face does not count as motion
+			shape: points.map(p => ({ x: (p.x - x) / width, y: (p.y - y) / width })),
+			texture: this.measureTexture(detection.thumbnail),
+		};
+	}
+
+	/**
+	* Luminance statistics of a face crop, downscaled to 64×64.
+	* @returns {{glare: number, moire: number, borderStd: number}|null}
+	*/
+	measureTexture(image) {
+		if (!image || typeof ImageBitmap === 'undefined' || !(image instanceof ImageBitmap) || !image.width) {
+			return null;
+		}
+		const size = 64;
+		if (!this.textureCanvas) {
+			this.textureCanvas = document.createElement('canvas');
+			this.textureCanvas.width = size;
+			this.textureCanvas.height = size;
+		}
+		const ctx = this.textureCanvas.getContext('2d', { willReadFrequently: true });
+		ctx.drawImage(image, 0, 0, size, size);
+		const { data } = ctx.getImageData(0, 0, size, size);
+		const lum = new Float32Array(size * size);
+		let clipped = 0;
+		for (let i = 0; i < lum.length; i++) {
+			lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+			if (lum[i] > 245) clipped++;
+		}
+
+		// Periodic pixel-level detail makes second differences large relative to first differences
+		let first = 0;
+		let second = 0;
+		for (let row = 0; row < size; row++) {
+			for (let col = 1; col < size - 1; col++) {
+				const i = row * size + col;
+				first += Math.abs(lum[i + 1] - lum[i]);
+				second += Math.abs(lum[i + 1] - 2 * lum[i] + lum[i - 1]);
+			}
+		}
+
+		const ring = [];
+		const ringWidth = 4;
+		for (let row = 0; row < size; row++) {
+			for (let col = 0; col < size; col++) {
+				if (row < ringWidth || col < ringWidth || row >= size - ringWidth || col >= size - ringWidth) {
+					ring.push(lum[row * size + col]);
+				}
+			}
+		}
+		const ringMean = LivenessChallenge.average(ring);
+		const ringVariance = LivenessChallenge.average(ring.map(v => (v - ringMean) * (v - ringMean)));
+
+		return {
+			glare: clipped / lum.length,
+			moire: first ? second / first : 0,
+			borderStd: Math.sqrt(ringVariance),
+		};
+	}
+
+	scoreSignals(samples) {
+		const o = this.options;
+		const clamp01 = value => Math.min(Math.max(value, 0), 1);
+		const average = LivenessChallenge.average;
+
+		const shapeChanges = [];
+		for (let i = 1; i < samples.length; i++) {
+			const prev = samples[i - 1].shape;
+			const curr = samples[i].shape;
+			shapeChanges.push(average(curr.map((p, j) => Math.hypot(p.x - prev[j].x, p.y - prev[j].y))));
+		}
+
+		const meanWidth = average(samples.map(s => s.box.width));
+		const std = values => {
+			const mean = average(values);
+			return Math.sqrt(average(values.map(v => (v - mean) * (v - mean))));
+		};
+		const boxJitter = (
+			std(samples.map(s => s.box.x + s.box.width / 2)) +
+			std(samples.map(s => s.box.y + s.box.height / 2)) +
+			std(samples.map(s => s.box.width))
+		) / (3 * meanWidth);
+
+		const textures = samples.map(s => s.texture).filter(Boolean);
+		let texture = 1;
+		let border = 1;
+		if (textures.length > 0) {
+			const glareScore = 1 - clamp01(average(textures.map(t => t.glare)) / o.glareLimit);
+			const moireScore = 1 - clamp01((average(textures.map(t => t.moire)) - 1) / (o.moireLimit - 1));
+			texture = Math.min(glareScore, moireScore);
+			border = clamp01(average(textures.map(t => t.borderStd)) / o.borderReference);
+		}
+
+		return {
+			motion: clamp01(average(shapeChanges) / o.motionReference),
+			box: clamp01(boxJitter / o.boxReference),
+			texture,
+			border,
+		};
+	}
+}
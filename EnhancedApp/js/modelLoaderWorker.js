@@ -31,12 +31,19 @@ self.onmessage = async (event) => {
       console.log('Worker: Models loaded successfully.');
       
       // Notify the main thread that loading is complete.
-      self.postMessage({ type: 'MODELS_LOADED' });
+      self.postMessage({ type: 'MODELS_LOADED', requestId: event.data.requestId });
       
     } catch (error) {
       console.error('Worker: Error loading models.', error);
-      // Optionally, send an error message back to the main thread
-      self.postMessage({ type: 'LOAD_ERROR', error: error.message });
+      // Same ERROR shape as the detection workers (see faceDetectionCore.js)
+      self.postMessage({
+        type: 'ERROR',
+        requestId: event.data.requestId,
+        requestType: 'LOAD_MODELS',
+        code: 'MODEL_FETCH_FAILED',
+        message: error.message,
+        details: { modelUri: '../models' }
+      });
     }
   }
 };
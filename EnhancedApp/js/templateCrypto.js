@@ -0,0 +1,76 @@
+/**
+* templateCrypto.js
+* -----------------
+* WebCrypto helpers for encrypting face templates at rest:
+*
+*   const params = TemplateCrypto.createKeyParams();            // { salt, iterations }
+*   const key = await TemplateCrypto.deriveKey(passphrase, params);
+*   const box = await TemplateCrypto.encryptJson(key, value, userId);  // { iv, data }
+*   const value = await TemplateCrypto.decryptJson(key, box, userId);
+*
+* The key is AES-GCM 256, derived from the admin passphrase with PBKDF2-SHA-256
+* and a random salt; it is not extractable and never stored. Each encryption
+* uses a fresh 96-bit IV. `context` (the user ID) is bound in as additional
+* data, so an encrypted template copied onto another record does not decrypt.
+* Decrypting with the wrong key rejects with the browser's OperationError.
+*/
+var TemplateCrypto = (function () {
+	const PBKDF2_ITERATIONS = 310000;
+	const SALT_BYTES = 16;
+	const IV_BYTES = 12;
+
+	const encoder = new TextEncoder();
+	const decoder = new TextDecoder();
+
+	function randomBytes(length) {
+		return crypto.getRandomValues(new Uint8Array(length));
+	}
+
+	/** Random hex ID naming a key, so records show which key encrypted them. */
+	function randomId() {
+		return Array.from(randomBytes(8), b => b.toString(16).padStart(2, '0')).join('');
+	}
+
+	function createKeyParams() {
+		return { salt: randomBytes(SALT_BYTES), iterations: PBKDF2_ITERATIONS };
+	}
+
+	async function deriveKey(passphrase, { salt, iterations }) {
+		const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+		return crypto.subtle.deriveKey(
+			{ name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+			material,
+			{ name: 'AES-GCM', length: 256 },
+			false,
+			['encrypt', 'decrypt']
+		);
+	}
+
+	async function encryptJson(key, value, context = '') {
+		const iv = randomBytes(IV_BYTES);
+		const data = await crypto.subtle.encrypt(
+			{ name: 'AES-GCM', iv, additionalData: encoder.encode(context) },
+			key,
+			encoder.encode(JSON.stringify(value))
+		);
+		return { iv, data };
+	}
+
+	async function decryptJson(key, { iv, data }, context = '') {
+		const plain = await crypto.subtle.decrypt(
+			{ name: 'AES-GCM', iv, additionalData: encoder.encode(context) },
+			key,
+			data
+		);
+		return JSON.parse(decoder.decode(plain));
+	}
+
+	return {
+		PBKDF2_ITERATIONS,
+		randomId,
+		createKeyParams,
+		deriveKey,
+		encryptJson,
+		decryptJson,
+	};
+})();
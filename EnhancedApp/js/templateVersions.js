@@ -0,0 +1,81 @@
+/**
+* templateVersions.js
+* -------------------
+* Versions of a profile's face template, for re-enrollment, merges and
+* rollback:
+*
+*   const updated = TemplateVersions.withChange(user, template, 'append');
+*   updated.templateVersion;               // user's version + 1
+*   TemplateVersions.rollback(updated);    // the template of `user` again
+*
+* A profile's template is the FIELDS of its record. Each change keeps the
+* template it replaces as `previousTemplate` (one version back, for
+* rollback()) and appends `{ version, change, changedAt, captureCount }` to the
+* readable `templateLog`. Profiles never changed have no log and count as
+* version 1.
+*
+* Only records are built here; faceapi_warmup.js reads and saves them.
+*/
+var TemplateVersions = (function () {
+	const FIELDS = ['descriptors', 'meanDescriptor', 'poses', 'quality', 'calibration', 'thumbnail'];
+
+	/**
+	* The profile with a new template, the current one kept as `previousTemplate`.
+	* @param {Object} user - Profile with its templates, e.g. from getAllUsers().
+	* @param {Object} template - New values of FIELDS.
+	* @param {string} change - 'append', 'replace', 'merge' or 'rollback'.
+	* @param {Object} [details] - Extra fields for the log entry.
+	*/
+	function withChange(user, template, change, details = {}) {
+		const version = user.templateVersion || 1;
+		const previousTemplate = { version };
+		FIELDS.forEach(field => {
+			previousTemplate[field] = user[field] === undefined ? null : user[field];
+		});
+		const entry = {
+			version: version + 1,
+			change,
+			changedAt: new Date().toISOString(),
+			captureCount: template.descriptors.length,
+			...details,
+		};
+		return {
+			...user,
+			...template,
+			templateVersion: entry.version,
+			previousTemplate,
+			templateLog: [...(user.templateLog || []), entry],
+		};
+	}
+
+	/**
+	* A per-capture list (`poses`, `quality`) of a profile, padded with nulls when
+	* an older record has none, so lists of two templates can be joined.
+	*/
+	function perCaptureValues(user, field) {
+		return Array.isArray(user[field]) && user[field].length === user.descriptors.length
+			? user[field]
+			: user.descriptors.map(() => null);
+	}
+
+	/**
+	* The profile with its previous template put back. This is a change of its
+	* own, so the template rolled back from becomes the previous one and can be
+	* restored in turn.
+	* @returns {Object|null} Null when the profile has no previous template.
+	*/
+	function rollback(user) {
+		if (!user.previousTemplate) {
+			return null;
+		}
+		const { version, ...template } = user.previousTemplate;
+		return withChange(user, template, 'rollback', { restoredVersion: version });
+	}
+
+	return {
+		FIELDS,
+		withChange,
+		perCaptureValues,
+		rollback,
+	};
+})();
@@ -0,0 +1,229 @@
+/**
+* userDBBackup.js
+* ---------------
+* Backup files of the whole UserDB and the plan for restoring one:
+*
+*   const text = UserDBBackup.serialize(snapshot, { device });
+*   const backup = UserDBBackup.parse(text);
+*   const plan = UserDBBackup.plan(backup.stores, local, { mode: 'merge', defaultResolution: 'newer' });
+*   UserDBBackup.summarize(plan);   // dry-run lines shown before anything is written
+*
+*   {
+*     "format": "faceid-backup",
+*     "formatVersion": 1,
+*     "dbVersion": 5,
+*     "createdAt": "…",
+*     "device": { … },
+*     "settings": { "templateEncryption": … } ,
+*     "stores": { "users": […], "attendance": […], "verifications": […] }
+*   }
+*
+* Records are written as stored, so encrypted templates stay encrypted and the
+* key parameters come along in `settings`. Binary values (IVs, ciphertext,
+* salts) are written as `{ "$base64": "…", "$type": "Uint8Array" | "ArrayBuffer" }`.
+*
+* Restoring: 'replace' clears the stores first. 'merge' adds the backup's
+* events except those already present (same user, time and mode) and resolves
+* each user whose ID exists locally by one of CONFLICT_RESOLUTIONS:
+*   • 'newer' – keep the record updated last (`updatedAt`); the local one on a tie.
+*   • 'both'  – import the backup's record under a new ID (`<id>-restored`),
+*               its events following it.
+*   • 'skip'  – keep the local record.
+*/
+var UserDBBackup = (function () {
+	const FORMAT = 'faceid-backup';
+	const FORMAT_VERSION = 1;
+	const STORES = ['users', 'attendance', 'verifications'];
+	const CONFLICT_RESOLUTIONS = ['newer', 'both', 'skip'];
+
+	function toBase64(bytes) {
+		let binary = '';
+		bytes.forEach(b => {
+			binary += String.fromCharCode(b);
+		});
+		return btoa(binary);
+	}
+
+	function replacer(key, value) {
+		if (value instanceof ArrayBuffer) {
+			return { $base64: toBase64(new Uint8Array(value)), $type: 'ArrayBuffer' };
+		}
+		if (value instanceof Uint8Array) {
+			return { $base64: toBase64(value), $type: 'Uint8Array' };
+		}
+		return value;
+	}
+
+	function reviver(key, value) {
+		if (value && typeof value.$base64 === 'string') {
+			const bytes = Uint8Array.from(atob(value.$base64), c => c.charCodeAt(0));
+			return value.$type === 'ArrayBuffer' ? bytes.buffer : bytes;
+		}
+		return value;
+	}
+
+	/**
+	* @param {Object} snapshot - `{ dbVersion, settings, users, attendance, verifications }`.
+	* @param {Object} [options]
+	* @param {Object} [options.device] - Provenance, e.g. from getDeviceMetadata().
+	* @returns {string} The backup file's text.
+	*/
+	function serialize(snapshot, { device = null } = {}) {
+		const stores = {};
+		STORES.forEach(name => {
+			stores[name] = snapshot[name] || [];
+		});
+		return JSON.stringify({
+			format: FORMAT,
+			formatVersion: FORMAT_VERSION,
+			dbVersion: snapshot.dbVersion,
+			createdAt: new Date().toISOString(),
+			device,
+			settings: snapshot.settings || {},
+			stores,
+		}, replacer);
+	}
+
+	/**
+	* @param {string} text - A backup file.
+	* @param {number} [maxDbVersion] - Newest UserDB version this app knows.
+	* @returns {Object} The backup, binary values restored.
+	*/
+	function parse(text, maxDbVersion = Infinity) {
+		let backup;
+		try {
+			backup = JSON.parse(text, reviver);
+		} catch (err) {
+			throw new Error('The file is not valid JSON.');
+		}
+		if (!backup || backup.format !== FORMAT || !backup.stores) {
+			throw new Error('This is not a face verification backup.');
+		}
+		if (!(backup.formatVersion <= FORMAT_VERSION)) {
+			throw new Error(`Backup format version ${backup.formatVersion} is newer than this app supports.`);
+		}
+		if (backup.dbVersion > maxDbVersion) {
+			throw new Error(`The backup comes from a newer version of this app (database version ${backup.dbVersion}).`);
+		}
+		STORES.forEach(name => {
+			if (!Array.isArray(backup.stores[name])) backup.stores[name] = [];
+		});
+		if (backup.stores.users.some(user => !user || user.id === undefined || user.id === null)) {
+			throw new Error('The backup holds a user without an ID.');
+		}
+		return backup;
+	}
+
+	function recordTime(user) {
+		const time = Date.parse(user.updatedAt || (user.calibration && user.calibration.computedAt) || '');
+		return Number.isNaN(time) ? 0 : time;
+	}
+
+	function eventKey(event) {
+		return `${event.userId}|${event.timestamp}|${event.mode || ''}`;
+	}
+
+	function uniqueId(id, taken) {
+		let candidate = `${id}-restored`;
+		for (let n = 2; taken.has(candidate); n++) {
+			candidate = `${id}-restored-${n}`;
+		}
+		taken.add(candidate);
+		return candidate;
+	}
+
+	/**
+	* Works out what a restore would write, without writing anything.
+	* @param {Object} incoming - The backup's `stores`.
+	* @param {Object} local - The same stores as currently in UserDB.
+	* @param {Object} options
+	* @param {string} options.mode - 'merge' or 'replace'.
+	* @param {string} [options.defaultResolution='newer'] - For conflicts not in `resolutions`.
+	* @param {Object} [options.resolutions] - Conflicting user ID -> resolution.
+	* @returns {Object} `{ mode, users, conflicts, events, removed }`: `users` lists
+	*   `{ id, action, newId?, record }` with action 'add', 'update', 'rename' or 'keep';
+	*   `events.<store>` lists the events to add (without `id`) and the duplicates skipped.
+	*/
+	function plan(incoming, local, { mode, defaultResolution = 'newer', resolutions = {} }) {
+		const replace = mode === 'replace';
+		const localUsers = new Map(replace ? [] : local.users.map(user => [user.id, user]));
+		const taken = new Set([...localUsers.keys(), ...incoming.users.map(user => user.id)]);
+		const renamed = new Map();
+		const conflicts = [];
+
+		const users = incoming.users.map(record => {
+			const existing = localUsers.get(record.id);
+			if (!existing) {
+				return { id: record.id, action: 'add', record };
+			}
+			const resolution = resolutions[record.id] || defaultResolution;
+			conflicts.push({ id: record.id, resolution, incoming: record, local: existing });
+			if (resolution === 'both') {
+				const newId = uniqueId(record.id, taken);
+				renamed.set(record.id, newId);
+				return { id: record.id, action: 'rename', newId, record: { ...record, id: newId } };
+			}
+			if (resolution === 'newer' && recordTime(record) > recordTime(existing)) {
+				return { id: record.id, action: 'update', record };
+			}
+			return { id: record.id, action: 'keep', record: existing };
+		});
+
+		const events = {};
+		STORES.filter(name => name !== 'users').forEach(name => {
+			const present = new Set(replace ? [] : local[name].map(eventKey));
+			const add = [];
+			let duplicates = 0;
+			incoming[name].forEach(event => {
+				const key = eventKey(event);
+				if (present.has(key)) {
+					duplicates++;
+					return;
+				}
+				present.add(key);
+				// The local store assigns a fresh auto-increment id
+				const copy = { ...event };
+				delete copy.id;
+				if (renamed.has(event.userId)) copy.userId = renamed.get(event.userId);
+				add.push(copy);
+			});
+			events[name] = { add, duplicates };
+		});
+
+		const removed = {};
+		STORES.forEach(name => {
+			removed[name] = replace ? local[name].length : 0;
+		});
+		return { mode, users, conflicts, events, removed };
+	}
+
+	/** Dry-run summary of a plan, one line per fact. */
+	function summarize(restorePlan) {
+		const count = action => restorePlan.users.filter(user => user.action === action).length;
+		const lines = [];
+		if (restorePlan.mode === 'replace') {
+			lines.push(`Delete all ${restorePlan.removed.users} profiles, ${restorePlan.removed.attendance} check-ins and ${restorePlan.removed.verifications} verifications on this device.`);
+		}
+		lines.push(`Add ${count('add')} new profiles.`);
+		if (restorePlan.conflicts.length > 0) {
+			lines.push(`${restorePlan.conflicts.length} profiles already exist here: ${count('update')} replaced by the backup, ${count('rename')} imported under a new ID, ${count('keep')} kept as they are.`);
+		}
+		[['attendance', 'check-ins'], ['verifications', 'verifications']].forEach(([name, label]) => {
+			const { add, duplicates } = restorePlan.events[name];
+			lines.push(`Add ${add.length} ${label}` + (duplicates ? ` (${duplicates} already present, skipped).` : '.'));
+		});
+		return lines;
+	}
+
+	return {
+		FORMAT,
+		FORMAT_VERSION,
+		STORES,
+		CONFLICT_RESOLUTIONS,
+		serialize,
+		parse,
+		plan,
+		summarize,
+		recordTime,
+	};
+})();
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setImmediate: flush } = require('node:timers/promises');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+loadScripts('dbMigrations.js');
+const DBMigrations = scriptGlobal('DBMigrations');
+const DBMigrationError = scriptGlobal('DBMigrationError');
+
+// Just enough of IDBDatabase / IDBTransaction for upgrade(): stores, indexes
+// and cursors that deliver records asynchronously like IndexedDB does
+function fakeDatabase(stores = {}) {
+	const db = {
+		stores: {},
+		objectStoreNames: { contains: name => name in db.stores },
+		createObjectStore(name, options) {
+			const store = { options, indexes: {}, records: [] };
+			store.createIndex = (indexName, keyPath) => {
+				store.indexes[indexName] = keyPath;
+			};
+			db.stores[name] = store;
+			return store;
+		},
+	};
+	Object.entries(stores).forEach(([name, records]) => {
+		db.createObjectStore(name, {}).records = records.slice();
+	});
+	let pending = 0;
+	const transaction = {
+		aborted: false,
+		// Resolves once every cursor has delivered its last record
+		async settled() {
+			while (pending > 0) await flush();
+		},
+		abort() {
+			transaction.aborted = true;
+		},
+		objectStore(name) {
+			const store = db.stores[name];
+			return {
+				openCursor() {
+					const request = {};
+					let position = 0;
+					const next = () => {
+						pending++;
+						setImmediate(deliver);
+					};
+					const deliver = () => {
+						pending--;
+						if (position >= store.records.length) {
+							request.result = null;
+							request.onsuccess();
+							return;
+						}
+						const index = position++;
+						request.result = {
+							value: store.records[index],
+							update(value) {
+								store.records[index] = value;
+								return {};
+							},
+							continue: next,
+						};
+						request.onsuccess();
+					};
+					next();
+					return request;
+				},
+			};
+		},
+	};
+	return { db, transaction };
+}
+
+function upgradeEvent(db, transaction, oldVersion, newVersion) {
+	return { oldVersion, newVersion, target: { result: db, transaction } };
+}
+
+test('toUserRecord splits the mean off a legacy record', () => {
+	const user = DBMigrations.toUserRecord({ id: 'u1', name: 'Ann', descriptors: [[1, 2], [3, 4], [2, 3]] });
+	assert.strictEqual(user.schemaVersion, DBMigrations.USER_RECORD_SCHEMA_VERSION);
+	assert.deepStrictEqual(user.descriptors, [[1, 2], [3, 4]]);
+	assert.deepStrictEqual(user.meanDescriptor, [2, 3]);
+	assert.strictEqual(user.name, 'Ann');
+});
+
+test('toUserRecord keeps a single legacy descriptor as capture and mean', () => {
+	const user = DBMigrations.toUserRecord({ id: 'u1', descriptors: [new Float32Array([1, 2])] });
+	assert.deepStrictEqual(user.descriptors, [[1, 2]]);
+	assert.deepStrictEqual(user.meanDescriptor, [1, 2]);
+});
+
+test('toUserRecord handles a legacy record without descriptors', () => {
+	const user = DBMigrations.toUserRecord({ id: 'u1' });
+	assert.deepStrictEqual(user.descriptors, []);
+	assert.strictEqual(user.meanDescriptor, null);
+});
+
+test('toUserRecord returns explicit records unchanged', () => {
+	const record = { schemaVersion: DBMigrations.USER_RECORD_SCHEMA_VERSION, id: 'u1', descriptors: [[1, 2]], meanDescriptor: [1, 2] };
+	assert.strictEqual(DBMigrations.toUserRecord(record), record);
+});
+
+test('upgrade creates every UserDB store on a new database', async () => {
+	const { db, transaction } = fakeDatabase();
+	const state = DBMigrations.upgrade('UserDB', upgradeEvent(db, transaction, 0, DBMigrations.latestVersion('UserDB')));
+	await transaction.settled();
+	assert.strictEqual(state.failure, null);
+	assert.deepStrictEqual(Object.keys(db.stores).sort(), ['attendance', 'settings', 'users', 'verifications']);
+	assert.deepStrictEqual(db.stores.attendance.indexes, { timestamp: 'timestamp', userId: 'userId' });
+	assert.deepStrictEqual(db.stores.verifications.options, { keyPath: 'id', autoIncrement: true });
+	assert.strictEqual(transaction.aborted, false);
+});
+
+test('upgrade to version 4 converts legacy users and leaves explicit ones alone', async () => {
+	const explicit = { schemaVersion: DBMigrations.USER_RECORD_SCHEMA_VERSION, id: 'b', descriptors: [[5, 6]], meanDescriptor: [5, 6] };
+	const { db, transaction } = fakeDatabase({
+		users: [{ id: 'a', descriptors: [[1, 1], [3, 3], [2, 2]] }, explicit],
+		attendance: [],
+		verifications: [],
+	});
+	const state = DBMigrations.upgrade('UserDB', upgradeEvent(db, transaction, 3, 4));
+	await transaction.settled();
+	assert.strictEqual(state.failure, null);
+	const [converted, unchanged] = db.stores.users.records;
+	assert.deepStrictEqual(converted.descriptors, [[1, 1], [3, 3]]);
+	assert.deepStrictEqual(converted.meanDescriptor, [2, 2]);
+	assert.strictEqual(unchanged, explicit);
+	assert.ok(!('settings' in db.stores), 'steps above newVersion must not run');
+});
+
+test('upgrade aborts and names the step that failed', () => {
+	const ran = [];
+	DBMigrations.register('TestDB', 1, 'first', () => ran.push(1));
+	DBMigrations.register('TestDB', 2, 'broken step', () => {
+		throw new Error('boom');
+	});
+	DBMigrations.register('TestDB', 3, 'never reached', () => ran.push(3));
+	const { db, transaction } = fakeDatabase();
+	const state = DBMigrations.upgrade('TestDB', upgradeEvent(db, transaction, 0, 3));
+	assert.deepStrictEqual(ran, [1]);
+	assert.ok(state.failure instanceof DBMigrationError);
+	assert.strictEqual(state.failure.version, 2);
+	assert.strictEqual(state.failure.dbName, 'TestDB');
+	assert.match(state.failure.message, /broken step.*boom/);
+	assert.strictEqual(transaction.aborted, true);
+});
+
+test('upgrade fails when a record conversion throws', async () => {
+	DBMigrations.register('ConvertDB', 1, 'rewrite records', (db, transaction, { eachRecord }) => {
+		eachRecord('items', () => {
+			throw new Error('bad record');
+		});
+	});
+	const { db, transaction } = fakeDatabase({ items: [{ id: 1 }] });
+	const state = DBMigrations.upgrade('ConvertDB', upgradeEvent(db, transaction, 0, 1));
+	assert.strictEqual(state.failure, null, 'records are converted after upgrade() returns');
+	await transaction.settled();
+	assert.strictEqual(state.failure.version, 1);
+	assert.match(state.failure.message, /bad record/);
+	assert.strictEqual(transaction.aborted, true);
+});
+
+test('register rejects a second step for the same version', () => {
+	DBMigrations.register('DuplicateDB', 1, 'first', () => {});
+	assert.throws(() => DBMigrations.register('DuplicateDB', 1, 'again', () => {}), /already has a migration to version 1/);
+});
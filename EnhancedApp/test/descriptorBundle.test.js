@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+loadScripts('dbMigrations.js', 'descriptorBundle.js');
+const DescriptorBundle = scriptGlobal('DescriptorBundle');
+const DescriptorBundleError = scriptGlobal('DescriptorBundleError');
+const { ERROR_CODES } = DescriptorBundle;
+
+function descriptor(seed) {
+	return Array.from({ length: DescriptorBundle.DESCRIPTOR_DIMENSION }, (_, i) => Math.sin(seed + i) / 10);
+}
+
+const USERS = [
+	{ schemaVersion: 2, id: 'u1', name: 'Ann', descriptors: [descriptor(1), descriptor(2)], meanDescriptor: descriptor(3), poses: ['frontal', 'left'] },
+	{ schemaVersion: 2, id: 'u2', name: 'Ben', descriptors: [descriptor(4)], meanDescriptor: descriptor(4) },
+];
+
+// A parsed copy, as read() gets it from a file
+async function exported(options) {
+	return JSON.parse(JSON.stringify(await DescriptorBundle.create(USERS, options)));
+}
+
+function rejectsWith(promise, code) {
+	return assert.rejects(promise, error => error instanceof DescriptorBundleError && error.code === code);
+}
+
+test('read returns the users of an unsigned bundle', async () => {
+	const bundle = await exported({ device: { deviceName: 'test' } });
+	const result = await DescriptorBundle.read(JSON.stringify(bundle, null, 2));
+	assert.strictEqual(result.verified, false);
+	assert.strictEqual(result.legacy, false);
+	assert.strictEqual(result.header.userCount, 2);
+	assert.deepStrictEqual(result.users.map(user => user.id), ['u1', 'u2']);
+	assert.deepStrictEqual(result.users[0].descriptors, USERS[0].descriptors);
+	assert.deepStrictEqual(result.users[0].poses, ['frontal', 'left']);
+});
+
+test('read rejects a payload that no longer matches its checksum', async () => {
+	const bundle = await exported();
+	bundle.payload.users[0].name = 'Mallory';
+	await rejectsWith(DescriptorBundle.read(bundle), ERROR_CODES.CHECKSUM_MISMATCH);
+});
+
+test('read rejects text that is not JSON or not a bundle', async () => {
+	await rejectsWith(DescriptorBundle.read('{ not json'), ERROR_CODES.INVALID_FORMAT);
+	await rejectsWith(DescriptorBundle.read({ format: 'something-else' }), ERROR_CODES.INVALID_FORMAT);
+});
+
+test('read rejects newer format versions and other descriptor models', async () => {
+	const newer = await exported();
+	newer.header.formatVersion = DescriptorBundle.FORMAT_VERSION + 1;
+	await rejectsWith(DescriptorBundle.read(newer), ERROR_CODES.UNSUPPORTED_VERSION);
+
+	const otherModel = await exported();
+	otherModel.header.dimension = 512;
+	await rejectsWith(DescriptorBundle.read(otherModel), ERROR_CODES.MODEL_MISMATCH);
+});
+
+test('read verifies an HMAC signature with the shared secret', async () => {
+	const bundle = await exported({ hmacSecret: 'secret' });
+	assert.strictEqual(bundle.signature.algorithm, 'HMAC-SHA256');
+	const result = await DescriptorBundle.read(bundle, { hmacSecret: 'secret', requireSignature: true });
+	assert.strictEqual(result.verified, true);
+});
+
+test('read rejects an HMAC signature made with another secret', async () => {
+	const bundle = await exported({ hmacSecret: 'secret' });
+	await rejectsWith(DescriptorBundle.read(bundle, { hmacSecret: 'other' }), ERROR_CODES.SIGNATURE_INVALID);
+});
+
+test('read accepts a signature it cannot check unless one is required', async () => {
+	const bundle = await exported({ hmacSecret: 'secret' });
+	const result = await DescriptorBundle.read(bundle);
+	assert.strictEqual(result.verified, false);
+	await rejectsWith(DescriptorBundle.read(bundle, { requireSignature: true }), ERROR_CODES.UNTRUSTED_KEY);
+});
+
+test('read verifies an ECDSA signature against the trusted public keys', async () => {
+	const { privateKey, publicKey } = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+	const privateJwk = await crypto.subtle.exportKey('jwk', privateKey);
+	const publicJwk = await crypto.subtle.exportKey('jwk', publicKey);
+	const bundle = await exported({ ecdsaPrivateKey: privateJwk });
+	assert.strictEqual(bundle.signature.algorithm, 'ECDSA-P256-SHA256');
+
+	const result = await DescriptorBundle.read(bundle, { trustedPublicKeys: [publicJwk], requireSignature: true });
+	assert.strictEqual(result.verified, true);
+
+	// The checksum only covers the payload; the signature covers the header too
+	bundle.header.createdAt = '2000-01-01T00:00:00.000Z';
+	await rejectsWith(DescriptorBundle.read(bundle, { trustedPublicKeys: [publicJwk] }), ERROR_CODES.SIGNATURE_INVALID);
+});
+
+test('read requires a signature when asked to', async () => {
+	const bundle = await exported();
+	await rejectsWith(DescriptorBundle.read(bundle, { requireSignature: true }), ERROR_CODES.SIGNATURE_REQUIRED);
+});
+
+test('read converts a legacy array with the mean last', async () => {
+	const legacy = [{ id: 'old', name: 'Old', descriptors: [descriptor(1), descriptor(2), descriptor(3)] }];
+	const result = await DescriptorBundle.read(JSON.stringify(legacy));
+	assert.strictEqual(result.legacy, true);
+	assert.strictEqual(result.header, null);
+	assert.deepStrictEqual(result.users[0].descriptors, [descriptor(1), descriptor(2)]);
+	assert.deepStrictEqual(result.users[0].meanDescriptor, descriptor(3));
+});
+
+test('read rejects a legacy array when a signature is required', async () => {
+	const legacy = [{ id: 'old', descriptors: [descriptor(1)] }];
+	await rejectsWith(DescriptorBundle.read(legacy, { requireSignature: true }), ERROR_CODES.SIGNATURE_REQUIRED);
+});
+
+test('read rejects descriptors of the wrong length', async () => {
+	const legacy = [{ id: 'old', descriptors: [[0.1, 0.2]] }];
+	await rejectsWith(DescriptorBundle.read(legacy), ERROR_CODES.MODEL_MISMATCH);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+loadScripts('faceMatcher.js');
+const UserFaceMatcher = scriptGlobal('UserFaceMatcher');
+
+// The matcher over one user with the given calibration; returns thresholdFor() of that user
+function thresholdOf(calibration, options = {}) {
+	const user = { id: 'u1', descriptors: [[0, 0], [0.2, 0]], meanDescriptor: [0.1, 0], calibration };
+	const matcher = new UserFaceMatcher([user], { threshold: 0.3, adaptiveThresholds: true, ...options });
+	return matcher.thresholdFor(matcher.entries[0]);
+}
+
+test('thresholdFor uses the global threshold unless adaptive thresholds are on', () => {
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.27 }, { adaptiveThresholds: false }), 0.3);
+});
+
+test('thresholdFor uses the global threshold without calibration stats', () => {
+	assert.strictEqual(thresholdOf(undefined), 0.3);
+	// Calibrations from before p95CenterDistance only have the pairwise spread
+	assert.strictEqual(thresholdOf({ meanIntraDistance: 0.1, maxIntraDistance: 0.2 }), 0.3);
+});
+
+test('thresholdFor uses the 95th percentile distance to the mean', () => {
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.27, nearestOtherUserDistance: null }), 0.27);
+});
+
+test('thresholdFor stops halfway to the nearest other user', () => {
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.29, nearestOtherUserDistance: 0.54 }), 0.27);
+});
+
+test('thresholdFor clamps to the floor and the ceiling', () => {
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.1 }), 0.25);
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.2, nearestOtherUserDistance: 0.3 }), 0.25);
+	// The ceiling defaults to the global threshold, so calibration never loosens matching
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.45 }), 0.3);
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.45 }, { thresholdCeiling: 0.4 }), 0.4);
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.1 }, { thresholdFloor: 0.15 }), 0.15);
+});
+
+test('thresholdFor keeps the ceiling when the floor is above it', () => {
+	assert.strictEqual(thresholdOf({ p95CenterDistance: 0.1 }, { threshold: 0.2 }), 0.2);
+});
+
+test('findBestMatch reports the per-user threshold it applied', () => {
+	const users = [
+		{ id: 'tight', descriptors: [[0, 0]], meanDescriptor: [0, 0], calibration: { p95CenterDistance: 0.26 } },
+		{ id: 'far', descriptors: [[5, 5]], meanDescriptor: [5, 5] },
+	];
+	const matcher = new UserFaceMatcher(users, { threshold: 0.3, adaptiveThresholds: true });
+	const inside = matcher.findBestMatch([0.2, 0.1]);
+	assert.strictEqual(inside.label, 'tight');
+	assert.strictEqual(inside.threshold, 0.26);
+	const outside = matcher.findBestMatch([0.28, 0]);
+	assert.strictEqual(outside.label, 'unknown');
+	assert.strictEqual(outside.threshold, 0.26);
+});
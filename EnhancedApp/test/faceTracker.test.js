@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+// FaceTracker.update() measures descriptor distances with UserFaceMatcher
+loadScripts('faceMatcher.js', 'faceTracker.js');
+const FaceTracker = scriptGlobal('FaceTracker');
+
+function match(label, distance = 0.2) {
+	return { label, distance, user: label === 'unknown' ? null : { id: label } };
+}
+
+function newTrack(options) {
+	const tracker = new FaceTracker(options);
+	return { tracker, track: tracker.createTrack({ x: 0, y: 0, width: 10, height: 10 }) };
+}
+
+test('recordMatch follows single frames until a label has confirmVotes', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 3 });
+	assert.strictEqual(tracker.recordMatch(track, match('a')).label, 'a');
+	assert.strictEqual(tracker.recordMatch(track, match('b')).label, 'b');
+	assert.strictEqual(track.settled, false);
+	assert.strictEqual(track.confirmed, false);
+});
+
+test('recordMatch settles on a label and ignores an off frame', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 3, smoothingWindow: 5 });
+	['a', 'a', 'a'].forEach(label => tracker.recordMatch(track, match(label)));
+	assert.strictEqual(track.settled, true);
+	assert.strictEqual(track.confirmed, true);
+	assert.strictEqual(tracker.recordMatch(track, match('b')).label, 'a');
+});
+
+test('recordMatch returns the newest match of the winning label', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 2 });
+	tracker.recordMatch(track, match('a', 0.25));
+	tracker.recordMatch(track, match('a', 0.21));
+	assert.strictEqual(tracker.recordMatch(track, match('b', 0.1)).distance, 0.21);
+});
+
+test('recordMatch switches identity once another label wins the window', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 3, smoothingWindow: 5 });
+	['a', 'a', 'a', 'b', 'b'].forEach(label => tracker.recordMatch(track, match(label)));
+	assert.strictEqual(track.match.label, 'a');
+	assert.strictEqual(tracker.recordMatch(track, match('b')).label, 'b');
+});
+
+test('recordMatch keeps the identity for frames without a descriptor', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 1 });
+	tracker.recordMatch(track, match('a'));
+	assert.strictEqual(tracker.recordMatch(track, null).label, 'a');
+	assert.strictEqual(track.history.length, 1);
+});
+
+test('recordMatch does not confirm a settled unknown face', () => {
+	const { tracker, track } = newTrack({ confirmVotes: 2 });
+	tracker.recordMatch(track, match('unknown'));
+	tracker.recordMatch(track, match('unknown'));
+	assert.strictEqual(track.settled, true);
+	assert.strictEqual(track.confirmed, false);
+	assert.deepStrictEqual(tracker.getSkipDescriptorBoxes(), []);
+});
+
+test('recordMatch keeps at most historySize matches', () => {
+	const { tracker, track } = newTrack({ historySize: 4, smoothingWindow: 3 });
+	for (let i = 0; i < 10; i++) tracker.recordMatch(track, match('a', i));
+	assert.deepStrictEqual(track.history.map(m => m.distance), [6, 7, 8, 9]);
+});
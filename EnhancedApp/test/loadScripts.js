@@ -0,0 +1,33 @@
+/**
+* loadScripts.js
+* --------------
+* Runs scripts from js/ the way the pages' <script> tags do, so the tests can
+* use the modules without a browser:
+*
+*   loadScripts('dbMigrations.js', 'descriptorBundle.js');
+*   const DescriptorBundle = scriptGlobal('DescriptorBundle');
+*
+* The scripts share this process's global scope and realm, so their arrays and
+* errors compare with assert like the test's own. `class` and `const`
+* declarations are not properties of globalThis; scriptGlobal() reads them the
+* way another script would. Each test file runs in its own process, so nothing
+* leaks between files.
+*/
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+function loadScripts(...files) {
+	files.forEach(file => {
+		const filename = path.join(JS_DIR, file);
+		vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+	});
+}
+
+function scriptGlobal(name) {
+	return vm.runInThisContext(name);
+}
+
+module.exports = { loadScripts, scriptGlobal };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+loadScripts('templateCrypto.js');
+const TemplateCrypto = scriptGlobal('TemplateCrypto');
+
+const TEMPLATE = {
+	descriptors: [[0.1, -0.2], [0.3, 0.4]],
+	meanDescriptor: [0.2, 0.1],
+	thumbnail: 'data:image/jpeg;base64,AAAA',
+	previousTemplate: null,
+};
+
+// Fewer PBKDF2 iterations than createKeyParams() so the suite stays fast
+function keyParams() {
+	return { ...TemplateCrypto.createKeyParams(), iterations: 1000 };
+}
+
+function rejectsAsWrongKey(promise) {
+	return assert.rejects(promise, error => error.name === 'OperationError');
+}
+
+test('createKeyParams returns a random salt and the default iterations', () => {
+	const a = TemplateCrypto.createKeyParams();
+	const b = TemplateCrypto.createKeyParams();
+	assert.strictEqual(a.iterations, TemplateCrypto.PBKDF2_ITERATIONS);
+	assert.strictEqual(a.salt.length, 16);
+	assert.notDeepStrictEqual(a.salt, b.salt);
+});
+
+test('a template survives encryptJson and decryptJson', async () => {
+	const key = await TemplateCrypto.deriveKey('passphrase', keyParams());
+	const box = await TemplateCrypto.encryptJson(key, TEMPLATE, 'u1');
+	assert.strictEqual(box.iv.length, 12);
+	assert.ok(!new TextDecoder().decode(box.data).includes('descriptors'));
+	assert.deepStrictEqual(await TemplateCrypto.decryptJson(key, box, 'u1'), TEMPLATE);
+});
+
+test('each encryption uses a fresh IV', async () => {
+	const key = await TemplateCrypto.deriveKey('passphrase', keyParams());
+	const a = await TemplateCrypto.encryptJson(key, TEMPLATE, 'u1');
+	const b = await TemplateCrypto.encryptJson(key, TEMPLATE, 'u1');
+	assert.notDeepStrictEqual(a.iv, b.iv);
+});
+
+test('decryptJson rejects a key from another passphrase or salt', async () => {
+	const params = keyParams();
+	const key = await TemplateCrypto.deriveKey('passphrase', params);
+	const box = await TemplateCrypto.encryptJson(key, TEMPLATE, 'u1');
+	await rejectsAsWrongKey(TemplateCrypto.decryptJson(await TemplateCrypto.deriveKey('other', params), box, 'u1'));
+	await rejectsAsWrongKey(TemplateCrypto.decryptJson(await TemplateCrypto.deriveKey('passphrase', keyParams()), box, 'u1'));
+});
+
+test('decryptJson rejects a template moved to another user ID', async () => {
+	const key = await TemplateCrypto.deriveKey('passphrase', keyParams());
+	const box = await TemplateCrypto.encryptJson(key, TEMPLATE, 'u1');
+	await rejectsAsWrongKey(TemplateCrypto.decryptJson(key, box, 'u2'));
+});
+
+test('a rotated template opens with the new key only', async () => {
+	const oldKey = await TemplateCrypto.deriveKey('old passphrase', keyParams());
+	const oldBox = await TemplateCrypto.encryptJson(oldKey, TEMPLATE, 'u1');
+
+	// What rotateTemplateKey() does for each profile
+	const newParams = keyParams();
+	const newKey = await TemplateCrypto.deriveKey('new passphrase', newParams);
+	const newBox = await TemplateCrypto.encryptJson(newKey, await TemplateCrypto.decryptJson(oldKey, oldBox, 'u1'), 'u1');
+
+	assert.deepStrictEqual(await TemplateCrypto.decryptJson(newKey, newBox, 'u1'), TEMPLATE);
+	await rejectsAsWrongKey(TemplateCrypto.decryptJson(oldKey, newBox, 'u1'));
+	// The old passphrase does not open it under the new salt either
+	await rejectsAsWrongKey(TemplateCrypto.decryptJson(await TemplateCrypto.deriveKey('old passphrase', newParams), newBox, 'u1'));
+});
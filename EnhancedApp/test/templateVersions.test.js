@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, scriptGlobal } = require('./loadScripts');
+
+loadScripts('templateVersions.js');
+const TemplateVersions = scriptGlobal('TemplateVersions');
+
+const USER = {
+	id: 'u1',
+	name: 'Ann',
+	descriptors: [[1, 1], [3, 3]],
+	meanDescriptor: [2, 2],
+	poses: ['frontal', 'left'],
+	calibration: { p95CenterDistance: 0.2 },
+	thumbnail: 'data:old',
+};
+
+const NEW_TEMPLATE = {
+	descriptors: [[5, 5]],
+	meanDescriptor: [5, 5],
+	poses: ['frontal'],
+	quality: [null],
+	calibration: { p95CenterDistance: 0.1 },
+	thumbnail: 'data:new',
+};
+
+test('withChange keeps the replaced template and logs the change', () => {
+	const updated = TemplateVersions.withChange(USER, NEW_TEMPLATE, 'replace', { addedCaptures: 1 });
+	assert.strictEqual(updated.templateVersion, 2);
+	assert.deepStrictEqual(updated.descriptors, [[5, 5]]);
+	assert.strictEqual(updated.name, 'Ann');
+	assert.deepStrictEqual(updated.previousTemplate, {
+		version: 1,
+		descriptors: USER.descriptors,
+		meanDescriptor: USER.meanDescriptor,
+		poses: USER.poses,
+		quality: null,
+		calibration: USER.calibration,
+		thumbnail: 'data:old',
+	});
+	assert.strictEqual(updated.templateLog.length, 1);
+	const [entry] = updated.templateLog;
+	assert.strictEqual(entry.version, 2);
+	assert.strictEqual(entry.change, 'replace');
+	assert.strictEqual(entry.captureCount, 1);
+	assert.strictEqual(entry.addedCaptures, 1);
+	assert.ok(!Number.isNaN(Date.parse(entry.changedAt)));
+});
+
+test('rollback restores the previous template as a new version', () => {
+	const updated = TemplateVersions.withChange(USER, NEW_TEMPLATE, 'replace');
+	const restored = TemplateVersions.rollback(updated);
+	assert.strictEqual(restored.templateVersion, 3);
+	assert.deepStrictEqual(restored.descriptors, USER.descriptors);
+	assert.strictEqual(restored.thumbnail, 'data:old');
+	assert.deepStrictEqual(restored.templateLog.map(e => e.change), ['replace', 'rollback']);
+	assert.strictEqual(restored.templateLog[1].restoredVersion, 1);
+	// The rolled-back template can be restored in turn
+	assert.strictEqual(restored.previousTemplate.version, 2);
+	assert.deepStrictEqual(TemplateVersions.rollback(restored).descriptors, NEW_TEMPLATE.descriptors);
+});
+
+test('rollback returns null without a previous template', () => {
+	assert.strictEqual(TemplateVersions.rollback(USER), null);
+});
+
+test('perCaptureValues pads missing or mismatched lists with nulls', () => {
+	assert.deepStrictEqual(TemplateVersions.perCaptureValues(USER, 'poses'), ['frontal', 'left']);
+	assert.deepStrictEqual(TemplateVersions.perCaptureValues(USER, 'quality'), [null, null]);
+	assert.deepStrictEqual(TemplateVersions.perCaptureValues({ ...USER, poses: ['frontal'] }, 'poses'), [null, null]);
+});